@@ -28,6 +28,9 @@ class AuthenticationManager {
         this.loadingOverlay = null;
         this.loadingProgress = null;
         this.loadingPercent = null;
+        this.loadingStatus = null;
+        this.loadingIssues = null;
+        this._loadingFailed = false;
         this._suspendedDrawers = [];
     }
 
@@ -72,7 +75,9 @@ class AuthenticationManager {
             this.#updateDrawerWelcomeAndLogout(storedDisplayName);
             if (this.onLogin) {
                 console.log('[Auth] invoking onLogin callback (session restore)');
-                this.onLogin({ username: storedUsername, displayName: storedDisplayName });
+                this.#startLoading();
+                Promise.resolve(this.onLogin({ username: storedUsername, displayName: storedDisplayName }))
+                    .then(() => this.#finishLoading());
             }
         } else {
             console.log('[Auth] no session; showing login overlay');
@@ -82,6 +87,46 @@ class AuthenticationManager {
         }
     }
 
+    /**
+     * Shows real download progress on the loading overlay
+     * @param {Object} progress - from dataLoader.js trackLoadProgress
+     * @param {number} progress.percent - 0..100
+     * @param {string|null} progress.current - label of the dataset loading now
+     * @param {string[]} [progress.slow] - labels of datasets taking unusually long
+     * @param {Object[]} [progress.failed] - [{ label, message }]
+     */
+    setLoadingProgress(progress = {}) {
+        if (!this.loadingOverlay || this._loadingFailed) return;
+        const percent = Math.max(0, Math.min(100, Math.round(Number(progress.percent) || 0)));
+        if (this.loadingProgress) this.loadingProgress.value = percent;
+        if (this.loadingPercent) this.loadingPercent.textContent = `${percent}%`;
+        if (this.loadingStatus) {
+            this.loadingStatus.textContent = progress.current ? `Loading ${progress.current}...` : 'Preparing the map...';
+        }
+        const issues = [
+            ...(progress.slow || []).map(label => ({ text: `Loading ${label} is taking longer than usual`, severity: 'slow' })),
+            ...(progress.failed || []).map(f => ({ text: `Could not load ${f.label}${f.message ? `: ${f.message}` : ''}`, severity: 'failed' }))
+        ];
+        this.#renderLoadingIssues(issues);
+    }
+
+    /**
+     * Keeps the loading overlay up with an error and a reload button; the app
+     * is not revealed afterwards
+     * @param {string} message
+     */
+    showLoadingError(message) {
+        if (!this.loadingOverlay) return;
+        this._loadingFailed = true;
+        this.loadingOverlay.classList.add('is-failed');
+        const title = this.loadingOverlay.querySelector('.auth-loading-title');
+        if (title) title.textContent = 'Unable to load the map';
+        if (this.loadingStatus) this.loadingStatus.textContent = message || 'Something went wrong while loading.';
+        const reload = this.loadingOverlay.querySelector('.auth-loading-reload');
+        if (reload) reload.classList.remove('auth-hidden');
+        this.#show(this.loadingOverlay);
+    }
+
     setValidHashes(hashes) {
         if (Array.isArray(hashes)) this.validCredentialHashes = hashes.slice();
     }
@@ -118,6 +163,13 @@ class AuthenticationManager {
             .auth-loading-card { background: #fff; padding: 2rem; border-radius: 12px; box-shadow: 0 10px 30px rgba(0,0,0,0.3); width: 100%; max-width: 420px; text-align: center; }
             .auth-loading-title { margin: 0 0 1rem 0; font-size: 1.2rem; color: #333; }
             .auth-loading-percent { margin-top: 0.5rem; font-weight: 600; color: #333; }
+            .auth-loading-status { margin: 0.75rem 0 0 0; color: #555; min-height: 1.2em; }
+            .auth-loading-issues { list-style: none; margin: 0.75rem 0 0 0; padding: 0; text-align: left; font-size: 0.9rem; }
+            .auth-loading-issues li { padding: 0.35rem 0.6rem; border-radius: 4px; margin-top: 0.35rem; }
+            .auth-loading-issues li.is-slow { color: #7a5b00; background: #fff3cd; border: 1px solid #ffe69c; }
+            .auth-loading-issues li.is-failed { color: #dc3545; background: #f8d7da; border: 1px solid #f5c6cb; }
+            .auth-loading.is-failed .auth-loading-status { color: #dc3545; }
+            .auth-loading-reload { margin-top: 1rem; }
             .auth-welcome-block { margin-bottom: 16px; padding: 0; background: transparent; border: none; }
             .auth-brand-logo { position: fixed; top: 50px; left: 50px; height: 80px; width: auto; z-index: 10000; }
 			.auth-input { width: 100%; box-sizing: border-box; }
@@ -125,8 +177,8 @@ class AuthenticationManager {
             .auth-eye-toggle { position: absolute; right: 8px; top: 50%; transform: translateY(-50%); background: transparent; border: none; padding: 4px; cursor: pointer; display: inline-flex; align-items: center; justify-content: center; }
             .auth-eye-toggle svg { width: 18px; height: 18px; fill: none; stroke: #555; stroke-width: 2; }
             .auth-eye-toggle:hover svg { stroke: #000; }
-            /* Ensure the progress ring matches our RAF updates exactly */
-            wa-progress-ring::part(indicator) { transition: stroke-dashoffset 0s linear !important; }
+            /* Smooth the jumps between streamed download chunks */
+            wa-progress-ring::part(indicator) { transition: stroke-dashoffset 0.2s linear !important; }
             /* Logout button: outlined by default, filled on hover */
             #auth-logout-button::part(base) { background-color: transparent; border-color: #343a40; color: #343a40; transition: background-color 0.15s, color 0.15s; }
             #auth-logout-button::part(base):hover { background-color: #343a40; color: #ffffff; }
@@ -195,14 +247,22 @@ class AuthenticationManager {
             <div class="auth-loading-card">
                 <p class="auth-loading-title">Loading...</p>
                 <div style="display:flex; flex-direction:column; align-items:center; gap:8px;">
-                    <wa-progress-ring id="auth-loading-ring" style="--size: 130px; --track-color: #bdbdbd; --track-width: 8px; --indicator-color: #96942E; --indicator-width: 10px;"></wa-progress-ring>
+                    <wa-progress-ring id="auth-loading-ring" style="--size: 130px; --track-color: #bdbdbd; --track-width: 8px; --indicator-color: #96942E; --indicator-width: 10px;">
+                        <span id="auth-loading-percent" class="auth-loading-percent">0%</span>
+                    </wa-progress-ring>
                 </div>
+                <p id="auth-loading-status" class="auth-loading-status" aria-live="polite"></p>
+                <ul id="auth-loading-issues" class="auth-loading-issues" aria-live="polite"></ul>
+                <wa-button class="auth-loading-reload auth-hidden" variant="brand">Reload</wa-button>
             </div>
         `;
         document.body.appendChild(overlay);
         this.loadingOverlay = overlay;
         this.loadingProgress = overlay.querySelector('#auth-loading-ring');
         this.loadingPercent = overlay.querySelector('#auth-loading-percent');
+        this.loadingStatus = overlay.querySelector('#auth-loading-status');
+        this.loadingIssues = overlay.querySelector('#auth-loading-issues');
+        overlay.querySelector('.auth-loading-reload').addEventListener('click', () => window.location.reload());
     }
 
     // Internal: Logic
@@ -221,22 +281,17 @@ class AuthenticationManager {
                 sessionStorage.setItem('displayName', userInfo.displayName);
             } catch (_) {}
 
-            // Hide the login form and show the loading overlay while we initialize in parallel
+            // Hide the login form and show the loading overlay; the app reports its downloads to it
             this.#hide(this.loginOverlay);
-            console.log('[Auth] credentials valid; starting loading sequence and app init in parallel');
+            console.log('[Auth] credentials valid; showing loading overlay and starting app init');
 
-            const spinnerPromise = this.#runLoadingSequence(2200, 2500);
+            this.#startLoading();
             const initPromise = this.onLogin ? Promise.resolve(this.onLogin(userInfo)) : Promise.resolve();
 
-            // Wait for both: minimum spinner duration and app readiness
-            Promise.all([spinnerPromise, initPromise]).then(() => {
-                setTimeout(() => {
-                    console.log('[Auth] spinner and app init complete; restoring drawers and revealing app');
-                    this.#restoreDrawers();
-                    this.#updateDrawerWelcomeAndLogout(userInfo.displayName);
-                    this.#hide(this.loadingOverlay);
-                }, 300);
-            });
+            initPromise.then(() => this.#finishLoading(() => {
+                this.#restoreDrawers();
+                this.#updateDrawerWelcomeAndLogout(userInfo.displayName);
+            }));
         } else {
             console.warn('[Auth] invalid credentials');
             this.errorMessage.style.display = 'block';
@@ -359,77 +414,43 @@ class AuthenticationManager {
         return result + lengthSuffix + charSumSuffix + separator + encodedData;
     }
 
-    #runLoadingSequence(durationMs = 2000, maxTotalMs = 3000) {
-        return new Promise((resolve) => {
-            if (!this.loadingOverlay || !this.loadingProgress) {
-                resolve();
-                return;
-            }
-            // Ensure ring starts at 0 and show overlay
-            this.loadingProgress.value = 0;
-            this.#show(this.loadingOverlay);
-            console.log(`[Auth] loading overlay shown; duration=${durationMs} maxTotal=${maxTotalMs}`);
-            
-            // Small delay to ensure DOM updates before starting animation
-            setTimeout(() => {
-                const maxPauseBudget = Math.max(0, maxTotalMs - durationMs);
-                const pauseCount = 2 + Math.floor(Math.random() * 3);
-                const rawDurations = Array.from({ length: pauseCount }, () => 120 + Math.random() * 200);
-                const rawSum = rawDurations.reduce((a, b) => a + b, 0);
-                const scale = rawSum > maxPauseBudget && rawSum > 0 ? (maxPauseBudget / rawSum) : 1;
-                const pauseDurations = rawDurations.map(d => Math.round(d * scale));
-                const totalPauseMs = pauseDurations.reduce((a, b) => a + b, 0);
-
-                const minGap = 120;
-                const tentative = Array.from({ length: pauseCount }, () => {
-                    const min = durationMs * 0.15, max = durationMs * 0.85;
-                    return Math.round(min + Math.random() * (max - min));
-                }).sort((a, b) => a - b);
-                const windows = [];
-                for (let i = 0; i < pauseCount; i++) {
-                    const startEff = i === 0 ? tentative[i] : Math.max(tentative[i], windows[i - 1].start + minGap);
-                    const dur = pauseDurations[i];
-                    const clampedStart = Math.min(startEff, Math.max(0, durationMs - dur - 50));
-                    windows.push({ start: clampedStart, end: clampedStart + dur, dur });
-                }
-                const abs = [];
-                let accum = 0;
-                for (const w of windows) {
-                    const s = w.start + accum;
-                    abs.push({ start: s, end: s + w.dur, dur: w.dur });
-                    accum += w.dur;
-                }
-                const totalDuration = durationMs + totalPauseMs;
-
-                const pausedElapsedAt = (elapsed) => {
-                    let sum = 0;
-                    for (const w of abs) {
-                        const overlap = Math.max(0, Math.min(elapsed, w.end) - w.start);
-                        sum += Math.min(overlap, w.dur);
-                    }
-                    return sum;
-                };
-
-                const start = performance.now();
-                const step = (now) => {
-                    const elapsed = now - start;
-                    const pausedSoFar = pausedElapsedAt(elapsed);
-                    const effective = Math.max(0, Math.min(durationMs, elapsed - pausedSoFar));
-                    const ratio = effective / durationMs;
-                    const pct = Math.min(99, Math.floor(ratio * 100));
-                    this.loadingProgress.value = pct;
-                    if (elapsed < totalDuration) {
-                        requestAnimationFrame(step);
-                    } else {
-                        this.loadingProgress.value = 100;
-                        // Do not hide overlay here; caller controls final hide timing
-                        console.log('[Auth] loading sequence complete');
-                        resolve();
-                    }
-                };
-                requestAnimationFrame(step);
-            }, 10); // Small delay to ensure DOM is ready
-        });
+    // Shows the loading overlay at 0% until the app reports progress
+    #startLoading() {
+        if (!this.loadingOverlay) return;
+        this._loadingFailed = false;
+        this.loadingOverlay.classList.remove('is-failed');
+        const title = this.loadingOverlay.querySelector('.auth-loading-title');
+        if (title) title.textContent = 'Loading...';
+        const reload = this.loadingOverlay.querySelector('.auth-loading-reload');
+        if (reload) reload.classList.add('auth-hidden');
+        this.setLoadingProgress({ percent: 0, current: null });
+        this.#show(this.loadingOverlay);
+        console.log('[Auth] loading overlay shown');
+    }
+
+    // Reveals the app once init resolves, unless loading failed
+    #finishLoading(beforeReveal) {
+        if (this._loadingFailed) return;
+        if (!this.loadingOverlay) {
+            if (beforeReveal) beforeReveal();
+            return;
+        }
+        this.setLoadingProgress({ percent: 100, current: null });
+        setTimeout(() => {
+            console.log('[Auth] app init complete; revealing app');
+            if (beforeReveal) beforeReveal();
+            this.#hide(this.loadingOverlay);
+        }, 300);
+    }
+
+    #renderLoadingIssues(issues) {
+        if (!this.loadingIssues) return;
+        this.loadingIssues.replaceChildren(...issues.map(issue => {
+            const li = document.createElement('li');
+            li.className = `is-${issue.severity}`;
+            li.textContent = issue.text;
+            return li;
+        }));
     }
 
     #updateDrawerWelcomeAndLogout(displayName) {
@@ -0,0 +1,186 @@
+/**
+ * Cluster donuts module
+ * Aggregates owned/leased counts, total square footage and for-sale counts on
+ * the clustered portfolio source (clusterProperties) and draws each cluster as
+ * an HTML donut marker split by ownership, with a hover tooltip of the sums.
+ * The cluster circle layers stay underneath for clicks and hit testing.
+ */
+
+import { OWNERSHIP_STYLES, FOR_SALE_COLOR } from './symbology.js';
+
+const CLUSTER_LAYER_ID = 'portfolio-clusters-background';
+const OTHER_SEGMENT_COLOR = '#9e9e9e';
+
+// Cluster circle radius (px) by point_count: [minimum count, radius]
+const CLUSTER_RADIUS_STEPS = [[0, 20], [10, 22], [50, 26], [100, 30], [250, 36]];
+
+/**
+ * Aggregations added to every cluster feature of the portfolio source
+ */
+export const CLUSTER_PROPERTIES = {
+    owned_count: ['+', ['case', ['==', ['get', 'ownership_type'], 'Owned'], 1, 0]],
+    leased_count: ['+', ['case', ['==', ['get', 'ownership_type'], 'Leased'], 1, 0]],
+    total_square_footage: ['+', ['case', ['==', ['typeof', ['get', 'square_footage']], 'number'], ['get', 'square_footage'], 0]],
+    for_sale_count: ['+', ['case', ['==', ['get', 'listed_for_sale'], 'Yes'], 1, 0]]
+};
+
+/**
+ * Mapbox GL expression for the cluster circle radius (matches the donut size)
+ * @returns {Array} expression
+ */
+export function clusterRadiusExpression() {
+    return ['step', ['get', 'point_count'], CLUSTER_RADIUS_STEPS[0][1], ...CLUSTER_RADIUS_STEPS.slice(1).flat()];
+}
+
+/**
+ * Draws donut markers over the clusters of a source and shows a tooltip with the
+ * aggregated sums when a cluster is hovered. Safe to call more than once.
+ * @param {mapboxgl.Map} map
+ * @param {string} sourceId - clustered source created with CLUSTER_PROPERTIES
+ */
+export function enableClusterDonuts(map, sourceId = 'portfolio') {
+    if (!map || map.__nghsClusterDonutsBound) return;
+    map.__nghsClusterDonutsBound = true;
+
+    // cluster_id -> { marker, signature }; ids are reused after setData, so the signature detects changes
+    const markers = new Map();
+
+    const updateMarkers = () => {
+        const layer = map.getLayer(CLUSTER_LAYER_ID);
+        const layerShown = layer && map.getLayoutProperty(CLUSTER_LAYER_ID, 'visibility') !== 'none' &&
+            map.getZoom() >= (layer.minzoom || 0);
+        if (!layerShown) {
+            markers.forEach(entry => entry.marker.remove());
+            markers.clear();
+            return;
+        }
+        if (!map.getSource(sourceId) || !map.isSourceLoaded(sourceId)) return;
+
+        const seen = new Set();
+        map.querySourceFeatures(sourceId).forEach(feature => {
+            const props = feature.properties || {};
+            if (!props.cluster) return;
+            const id = props.cluster_id;
+            if (seen.has(id)) return; // clusters can repeat across tiles
+            seen.add(id);
+
+            const signature = [props.point_count, props.owned_count, props.leased_count, props.for_sale_count].join('|');
+            const entry = markers.get(id);
+            if (entry && entry.signature === signature) {
+                entry.marker.setLngLat(feature.geometry.coordinates);
+                return;
+            }
+            if (entry) entry.marker.remove();
+            const marker = new mapboxgl.Marker({ element: createDonutElement(props) })
+                .setLngLat(feature.geometry.coordinates)
+                .addTo(map);
+            markers.set(id, { marker, signature });
+        });
+
+        markers.forEach((entry, id) => {
+            if (!seen.has(id)) {
+                entry.marker.remove();
+                markers.delete(id);
+            }
+        });
+    };
+    map.on('render', updateMarkers);
+
+    // Hover tooltip with the aggregated sums
+    const tooltip = new mapboxgl.Popup({
+        closeButton: false,
+        closeOnClick: false,
+        className: 'custom-popup cluster-tooltip',
+        offset: 20
+    });
+    map.on('mousemove', CLUSTER_LAYER_ID, (e) => {
+        const feature = e.features && e.features[0];
+        if (!feature || map.__nghsDrawActive) return;
+        tooltip
+            .setLngLat(feature.geometry.coordinates)
+            .setHTML(formatClusterTooltip(feature.properties || {}))
+            .addTo(map);
+    });
+    map.on('mouseleave', CLUSTER_LAYER_ID, () => tooltip.remove());
+}
+
+/**
+ * Formats the tooltip for one cluster feature
+ * @param {Object} props - cluster properties (point_count plus CLUSTER_PROPERTIES)
+ * @returns {string} HTML
+ */
+function formatClusterTooltip(props) {
+    const count = Number(props.point_count) || 0;
+    const totalSf = Number(props.total_square_footage) || 0;
+    const forSale = Number(props.for_sale_count) || 0;
+    const lines = [
+        `<div class="popup-title">${count.toLocaleString('en-US')} properties</div>`,
+        `<div class="popup-detail">${Number(props.owned_count) || 0} owned · ${Number(props.leased_count) || 0} leased</div>`,
+        `<div class="popup-detail"><span class="popup-detail-label">Square Footage:</span> ${totalSf > 0 ? Math.round(totalSf).toLocaleString('en-US') : '—'}</div>`
+    ];
+    if (forSale > 0) {
+        lines.push(`<div class="popup-detail">${forSale} listed for sale</div>`);
+    }
+    return `<div class="popup-content">${lines.join('')}</div>`;
+}
+
+// SVG donut: owned/leased (and unknown) segments around the dark count circle
+function createDonutElement(props) {
+    const count = Number(props.point_count) || 0;
+    const owned = Number(props.owned_count) || 0;
+    const leased = Number(props.leased_count) || 0;
+    const forSale = Number(props.for_sale_count) || 0;
+    const segments = [
+        { value: owned, color: OWNERSHIP_STYLES.Owned.color },
+        { value: leased, color: OWNERSHIP_STYLES.Leased.color },
+        { value: Math.max(count - owned - leased, 0), color: OTHER_SEGMENT_COLOR }
+    ].filter(segment => segment.value > 0);
+
+    const r = radiusForCount(count);
+    const inner = r * 0.68;
+    const size = r * 2;
+    let angle = 0;
+    const paths = segments.map(segment => {
+        const sweep = count > 0 ? segment.value / count : 0;
+        const path = sweep >= 1
+            ? `<circle cx="${r}" cy="${r}" r="${(r + inner) / 2}" fill="none" stroke="${segment.color}" stroke-width="${r - inner}"/>`
+            : `<path d="${donutSegmentPath(r, inner, angle, angle + sweep)}" fill="${segment.color}"/>`;
+        angle += sweep;
+        return path;
+    }).join('');
+
+    const label = props.point_count_abbreviated != null ? props.point_count_abbreviated : count;
+    const el = document.createElement('div');
+    el.className = 'cluster-donut';
+    el.innerHTML = (
+        `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+            paths +
+            `<circle cx="${r}" cy="${r}" r="${inner}" fill="#343a40"/>` +
+            `<text x="${r}" y="${r}" dominant-baseline="central" text-anchor="middle">${label}</text>` +
+        '</svg>' +
+        (forSale > 0 ? `<span class="cluster-donut-for-sale" style="background-color: ${FOR_SALE_COLOR}">${forSale}</span>` : '')
+    );
+    return el;
+}
+
+function radiusForCount(count) {
+    let radius = CLUSTER_RADIUS_STEPS[0][1];
+    CLUSTER_RADIUS_STEPS.forEach(([minCount, r]) => {
+        if (count >= minCount) radius = r;
+    });
+    return radius;
+}
+
+// Annular sector between two fractions of a full turn, starting at 12 o'clock
+function donutSegmentPath(r, inner, start, end) {
+    const point = (fraction, radius) => {
+        const a = 2 * Math.PI * fraction - Math.PI / 2;
+        return [r + radius * Math.cos(a), r + radius * Math.sin(a)];
+    };
+    const largeArc = end - start > 0.5 ? 1 : 0;
+    const [x0, y0] = point(start, r);
+    const [x1, y1] = point(end, r);
+    const [x2, y2] = point(end, inner);
+    const [x3, y3] = point(start, inner);
+    return `M ${x0} ${y0} A ${r} ${r} 0 ${largeArc} 1 ${x1} ${y1} L ${x2} ${y2} A ${inner} ${inner} 0 ${largeArc} 0 ${x3} ${y3} Z`;
+}
@@ -43,10 +43,66 @@ export const mapConfig = {
     bearing: 0
 };
 
+// Basemaps offered in the drawer. `streetsOverlay` adds the Mapbox Streets roads and
+// labels on top (for imagery); Mapbox styles bring their own labels.
+// Set `provider: 'local'` to serve the basemap, glyphs and sprite from our own host
+// (intranet or offline demos); only the `local` entries below are then offered.
+export const basemapConfig = {
+    provider: 'mapbox', // 'mapbox' or 'local'
+    defaultBasemap: 'satellite',
+    local: {
+        label: 'Local',
+        // Raster or vector XYZ tiles. Mapbox GL JS cannot read a .pmtiles archive
+        // directly; serve it as XYZ first (e.g. `pmtiles serve`).
+        tiles: {
+            type: 'raster', // 'raster' or 'vector'
+            urls: ['tiles/basemap/{z}/{x}/{y}.png'],
+            tileSize: 256,
+            minzoom: 0,
+            maxzoom: 18,
+            attribution: ''
+        },
+        // Optional full style JSON for vector tiles (its own sources/layers); overrides `tiles`
+        styleUrl: null,
+        // Must include the fontstacks our layers use: Arial Unicode MS Bold, Open Sans Bold, DIN Offc Pro Medium
+        glyphs: 'assets/fonts/{fontstack}/{range}.pbf',
+        // Optional; null skips the sprite (our marker icons are added at runtime)
+        sprite: null
+    },
+    basemaps: [
+        { id: 'satellite', label: 'Satellite', style: mapConfig.style, streetsOverlay: true },
+        { id: 'streets', label: 'Streets', style: 'mapbox://styles/mapbox/streets-v12', streetsOverlay: false },
+        { id: 'light', label: 'Light', style: 'mapbox://styles/mapbox/light-v11', streetsOverlay: false },
+        {
+            id: 'none',
+            label: 'None',
+            style: {
+                version: 8,
+                glyphs: mapConfig.style.glyphs,
+                sprite: mapConfig.style.sprite,
+                sources: {},
+                layers: [
+                    { id: 'background', type: 'background', paint: { 'background-color': '#f2f2f2' } }
+                ]
+            },
+            streetsOverlay: false
+        }
+    ]
+};
+
+// last_updated.txt doubles as the data version: cached datasets (dataCache.js) are refetched when it changes
 export const dataConfig = {
     portfolioDataPath: 'data/nghs_portfolio.geojson',
     lastUpdatedPath: 'data/last_updated.txt',
-    parcelsDataPath: 'data/nghs_parcels.geojson'
+    parcelsDataPath: 'data/nghs_parcels.geojson',
+    serviceAreasDataPath: 'data/service-areas.geojson',
+    serviceAreasLabelsDataPath: 'data/service-areas-labels.geojson',
+    serviceAreasMaskDataPath: 'data/service-areas-mask.geojson'
+};
+
+// Usernames (see authentication.js) that see the data-quality panel
+export const dataQualityConfig = {
+    adminUsernames: ['wwright2']
 };
 
 // Feature flags and quick toggles
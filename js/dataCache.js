@@ -0,0 +1,107 @@
+/**
+ * Dataset cache module
+ * Keeps parsed GeoJSON, as published and before any reprojection, in IndexedDB,
+ * one entry per file path tagged with the data version (the contents of last_updated.txt).
+ * A version change makes the entry stale and the next load replaces it, so the
+ * store never holds more than one copy of each file. Every IndexedDB failure
+ * (private browsing, quota, blocked upgrade) is treated as a cache miss.
+ */
+
+const DB_NAME = 'nghs-data-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+
+let dbPromise = null;
+
+/**
+ * Reads a cached dataset if it was stored for the same data version
+ * @param {string} path - file path the dataset was loaded from
+ * @param {string} version - current data version
+ * @returns {Promise<{data: Object, bytes: number}|null>} null on a miss or a stale entry
+ */
+export async function readCachedDataset(path, version) {
+    if (!version) return null;
+    try {
+        const db = await openDatabase();
+        if (!db) return null;
+        const entry = await requestToPromise(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(path));
+        if (!entry || entry.version !== version) return null;
+        return { data: entry.data, bytes: entry.bytes || 0 };
+    } catch (error) {
+        console.warn(`Dataset cache read failed for ${path}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Stores a dataset for a data version, replacing any older copy of the file
+ * @param {string} path - file path the dataset was loaded from
+ * @param {string} version - data version the file belongs to
+ * @param {Object} data - parsed GeoJSON, not yet reprojected
+ * @param {number} bytes - download size, replayed as progress on cache hits
+ * @returns {Promise<boolean>} whether the entry was written
+ */
+export async function writeCachedDataset(path, version, data, bytes = 0) {
+    if (!version) return false;
+    try {
+        const db = await openDatabase();
+        if (!db) return false;
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        tx.objectStore(STORE_NAME).put({ path, version, data, bytes, savedAt: Date.now() });
+        await transactionToPromise(tx);
+        return true;
+    } catch (error) {
+        console.warn(`Dataset cache write failed for ${path}:`, error);
+        return false;
+    }
+}
+
+// Opens (and on first use creates) the database; resolves null where IndexedDB is unavailable
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        let request;
+        try {
+            request = indexedDB.open(DB_NAME, DB_VERSION);
+        } catch (error) {
+            console.warn('IndexedDB unavailable; datasets will not be cached:', error);
+            resolve(null);
+            return;
+        }
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'path' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('IndexedDB open failed; datasets will not be cached:', request.error);
+            resolve(null);
+        };
+        request.onblocked = () => {
+            console.warn('IndexedDB upgrade blocked by another tab; datasets will not be cached');
+            resolve(null);
+        };
+    });
+    return dbPromise;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionToPromise(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
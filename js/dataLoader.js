@@ -1,24 +1,285 @@
 /**
  * Data loading and management module
+ * GeoJSON in a projected CRS (State Plane, UTM, ...) is reprojected to WGS84 on
+ * load using the CRS_DEFINITIONS registry and proj4. Also validates the loaded
+ * datasets against DATA_SCHEMAS so records that are dropped, miscolored or
+ * miscategorized show up in a data-quality report, and derives each property's
+ * service area from the polygon it sits in. Downloads are streamed and report
+ * byte progress to onLoadProgress listeners (see trackLoadProgress), and parsed
+ * files are cached per data version in IndexedDB (dataCache.js).
  */
 
+import { ALL_SERVICE_AREAS, getPropertyTypeCategory } from './filters.js';
+import { pointInGeometry } from './geometry.js';
+import { readCachedDataset, writeCachedDataset } from './dataCache.js';
+
+// A dataset still downloading after this long is reported as slow
+export const SLOW_LOAD_MS = 8000;
+
+const loadProgressListeners = new Set();
+// `${path}|${version}` -> in-flight loadGeoJSON promise
+const pendingGeoJSONLoads = new Map();
+
 /**
- * Fetches GeoJSON data from a given path
+ * proj4 definitions by EPSG code for the projections our county exports use.
+ * Add a zone here (or at runtime with registerCrs) when a new export arrives.
+ */
+export const CRS_DEFINITIONS = {
+    // Georgia State Plane, NAD83
+    'EPSG:26966': '+proj=tmerc +lat_0=30 +lon_0=-82.16666666666667 +k=0.9999 +x_0=200000 +y_0=0 +datum=NAD83 +units=m +no_defs',
+    'EPSG:26967': '+proj=tmerc +lat_0=30 +lon_0=-84.16666666666667 +k=0.9999 +x_0=700000 +y_0=0 +datum=NAD83 +units=m +no_defs',
+    'EPSG:2239': '+proj=tmerc +lat_0=30 +lon_0=-82.16666666666667 +k=0.9999 +x_0=200000.0001016 +y_0=0 +datum=NAD83 +units=us-ft +no_defs',
+    'EPSG:2240': '+proj=tmerc +lat_0=30 +lon_0=-84.16666666666667 +k=0.9999 +x_0=699999.9998983998 +y_0=0 +datum=NAD83 +units=us-ft +no_defs',
+    // UTM zones 16N/17N (Georgia straddles the 84°W zone boundary)
+    'EPSG:26916': '+proj=utm +zone=16 +datum=NAD83 +units=m +no_defs',
+    'EPSG:26917': '+proj=utm +zone=17 +datum=NAD83 +units=m +no_defs',
+    'EPSG:32616': '+proj=utm +zone=16 +datum=WGS84 +units=m +no_defs',
+    'EPSG:32617': '+proj=utm +zone=17 +datum=WGS84 +units=m +no_defs',
+    // Geographic NAD83 and Web Mercator
+    'EPSG:4269': '+proj=longlat +datum=NAD83 +no_defs',
+    'EPSG:3857': '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs'
+};
+
+// CRS names that already mean WGS84 longitude/latitude
+const WGS84_CODES = ['EPSG:4326', 'OGC:CRS84'];
+
+// building_type values that are "Other" on purpose (anything else unrecognized is reported)
+const KNOWN_OTHER_BUILDING_TYPES = ['Other', 'Mixed Use', 'Retail', 'Storage', 'Distribution Center'];
+
+/**
+ * Schemas checked by validateDataset. Field rules:
+ *   required - must be present and not blank
+ *   type     - 'number' | 'string' (blank values are allowed unless required)
+ *   values   - allowed values
+ *   min      - smallest allowed number
+ *   unique   - repeated values are reported
+ *   check    - (value) => message|null for anything else
+ * `geometryTypes` limits the feature geometries; `label` names a record in the report.
+ */
+export const DATA_SCHEMAS = {
+    portfolio: {
+        title: 'Portfolio',
+        label: props => props.name || props.address,
+        fields: {
+            name: { required: true, type: 'string', unique: true },
+            address: { required: true, type: 'string', unique: true },
+            ownership_type: { required: true, values: ['Owned', 'Leased'] },
+            building_type: {
+                required: true,
+                type: 'string',
+                check: value => (getPropertyTypeCategory(value) !== 'Other' || KNOWN_OTHER_BUILDING_TYPES.includes(value))
+                    ? null
+                    : `Unrecognized building_type "${value}" is shown as Other`
+            },
+            service_area: { required: true, values: ALL_SERVICE_AREAS },
+            square_footage: { type: 'number', min: 0 },
+            land_size: { type: 'number', min: 0 },
+            listed_for_sale: { values: ['Yes', 'No'] },
+            longstreet: { values: ['Yes', 'No'] }
+        }
+    },
+    parcels: {
+        title: 'Parcels',
+        label: props => props.parcel_id,
+        geometryTypes: ['Polygon', 'MultiPolygon'],
+        fields: {
+            parcel_id: { required: true, type: 'string', unique: true }
+        }
+    },
+    serviceAreas: {
+        title: 'Service Areas',
+        label: props => props.service_area,
+        geometryTypes: ['Polygon', 'MultiPolygon'],
+        fields: {
+            service_area: { required: true, values: ALL_SERVICE_AREAS, unique: true }
+        }
+    }
+};
+
+/**
+ * Fetches GeoJSON data from a given path and reprojects it to WGS84 when its
+ * CRS metadata names a projected system. The body is streamed so download
+ * progress reaches onLoadProgress listeners as it arrives. With a data version
+ * the parsed file is cached in IndexedDB and later loads of the same version
+ * skip the download; concurrent loads of one file share a single request.
+ * The cache holds the file as published, and reprojection runs on every load,
+ * so a change to the CRS registry never leaves stale coordinates behind.
  * @param {string} path - Path to the GeoJSON file
+ * @param {Object} [options]
+ * @param {string} [options.label] - readable dataset name for progress messages
+ * @param {string} [options.version] - data version (last_updated.txt) for the cache; omit to always fetch
  * @returns {Promise<Object>} GeoJSON feature collection
  */
-export async function loadGeoJSON(path) {
-    try {
-        const response = await fetch(path);
-        if (!response.ok) {
-            throw new Error(`Failed to load data: ${response.statusText}`);
+export function loadGeoJSON(path, options = {}) {
+    const key = `${path}|${options.version || ''}`;
+    if (!pendingGeoJSONLoads.has(key)) {
+        const request = fetchGeoJSON(path, options).finally(() => pendingGeoJSONLoads.delete(key));
+        pendingGeoJSONLoads.set(key, request);
+    }
+    return pendingGeoJSONLoads.get(key);
+}
+
+/**
+ * Subscribes to loadGeoJSON download progress. Listeners receive
+ * { path, label, status, loaded, total, error } where status is 'start',
+ * 'progress', 'slow' (still running after SLOW_LOAD_MS), 'done' or 'error',
+ * and total is the Content-Length in bytes (null when unknown).
+ * @param {Function} listener - (event) => void
+ * @returns {Function} unsubscribe
+ */
+export function onLoadProgress(listener) {
+    if (typeof listener !== 'function') return () => {};
+    loadProgressListeners.add(listener);
+    return () => loadProgressListeners.delete(listener);
+}
+
+/**
+ * Combines the progress of several datasets into one byte-weighted percentage.
+ * Datasets that have not reported a size yet count as the average known size.
+ * @param {string[]} paths - every file the caller is about to load
+ * @param {Function} onUpdate - ({ percent, current, slow, failed }) => void, where
+ *   current is the label of the dataset loading now, slow the labels running
+ *   past SLOW_LOAD_MS and failed [{ label, message }]
+ * @returns {Function} stop tracking
+ */
+export function trackLoadProgress(paths, onUpdate) {
+    const datasets = new Map(paths.map(path => [path, { label: path, status: 'pending', loaded: 0, total: null }]));
+    // A file larger than the estimate would pull the ring back, so it only moves forward
+    let lastPercent = 0;
+
+    const update = () => {
+        const entries = Array.from(datasets.values());
+        const sizes = entries.map(ds => ds.total).filter(total => total > 0);
+        const averageSize = sizes.length ? sizes.reduce((sum, size) => sum + size, 0) / sizes.length : 1;
+        let loaded = 0;
+        let total = 0;
+        entries.forEach(ds => {
+            const size = ds.total > 0 ? ds.total : averageSize;
+            total += size;
+            if (ds.status === 'done' || ds.status === 'error') loaded += size;
+            else if (ds.total > 0) loaded += Math.min(ds.loaded, ds.total);
+        });
+        lastPercent = Math.max(lastPercent, total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 0);
+        const running = entries.filter(ds => ds.status === 'start' || ds.status === 'progress' || ds.status === 'slow');
+        onUpdate({
+            percent: lastPercent,
+            current: running.length ? running[running.length - 1].label : null,
+            slow: running.filter(ds => ds.slow).map(ds => ds.label),
+            failed: entries.filter(ds => ds.status === 'error').map(ds => ({ label: ds.label, message: ds.message }))
+        });
+    };
+
+    const unsubscribe = onLoadProgress(event => {
+        const ds = datasets.get(event.path);
+        if (!ds) return;
+        ds.label = event.label;
+        ds.loaded = event.loaded;
+        if (event.total != null) ds.total = event.total;
+        if (event.status === 'slow') {
+            ds.slow = true;
+        } else {
+            ds.status = event.status;
+            if (event.status === 'done' || event.status === 'error') ds.slow = false;
         }
-        const data = await response.json();
-        console.log(`Loaded ${data.features.length} features from ${path}`);
-        return data;
+        if (event.error) ds.message = event.error.message || String(event.error);
+        update();
+    });
+    update();
+    return unsubscribe;
+}
+
+/**
+ * Adds (or replaces) a proj4 definition in the CRS registry
+ * @param {string} code - e.g. 'EPSG:6445'
+ * @param {string} definition - proj4 string
+ */
+export function registerCrs(code, definition) {
+    const key = normalizeCrsName(code);
+    if (key && definition) CRS_DEFINITIONS[key] = definition;
+}
+
+/**
+ * Reads the CRS named in a GeoJSON object's `crs` member
+ * (named 'urn:ogc:def:crs:EPSG::26967' / 'EPSG:26967' style, or legacy { type: 'EPSG', properties: { code } })
+ * @param {Object} geojson
+ * @returns {string|null} normalized code such as 'EPSG:26967'; null when absent or WGS84
+ */
+export function getGeoJSONCrs(geojson) {
+    const crs = geojson && geojson.crs;
+    if (!crs || !crs.properties) return null;
+    const raw = crs.type === 'EPSG' && crs.properties.code != null
+        ? `EPSG:${crs.properties.code}`
+        : crs.properties.name;
+    const code = normalizeCrsName(raw);
+    return code && !WGS84_CODES.includes(code) ? code : null;
+}
+
+/**
+ * Reprojects a GeoJSON object (FeatureCollection, Feature or geometry) to WGS84.
+ * Data without CRS metadata (or already in WGS84) is returned unchanged.
+ * Unknown CRS codes, or a missing proj4, are logged and the data is returned as is.
+ * @param {Object} geojson
+ * @param {string} [sourceName] - file name used in log messages
+ * @returns {Object} reprojected copy (without `crs`), or the input
+ */
+export function reprojectGeoJSON(geojson, sourceName = 'GeoJSON') {
+    const code = getGeoJSONCrs(geojson);
+    if (!code) {
+        if (looksProjected(geojson)) {
+            console.warn(`${sourceName} has no CRS metadata but its coordinates are not longitude/latitude`);
+        }
+        return geojson;
+    }
+    if (typeof proj4 !== 'function') {
+        console.error(`${sourceName} is in ${code} but proj4 is not loaded; coordinates left as is`);
+        return geojson;
+    }
+    const definition = CRS_DEFINITIONS[code];
+    if (!definition) {
+        console.error(`${sourceName} is in ${code}, which is not in CRS_DEFINITIONS; coordinates left as is`);
+        return geojson;
+    }
+
+    try {
+        const converter = proj4(definition, 'EPSG:4326');
+        const transform = (position) => {
+            const [x, y] = converter.forward([position[0], position[1]]);
+            return position.length > 2 ? [x, y, ...position.slice(2)] : [x, y];
+        };
+        const { crs, ...rest } = geojson;
+        console.log(`Reprojected ${sourceName} from ${code} to WGS84`);
+        return reprojectObject(rest, transform);
     } catch (error) {
-        console.error('Error loading GeoJSON:', error);
-        throw error;
+        console.error(`Could not reproject ${sourceName} from ${code}:`, error);
+        return geojson;
+    }
+}
+
+/**
+ * Applies a position transform to every coordinate of a geometry (all GeoJSON
+ * geometry types, including GeometryCollection)
+ * @param {Object|null} geometry
+ * @param {(position: number[]) => number[]} transform
+ * @returns {Object|null} new geometry
+ */
+export function reprojectGeometry(geometry, transform) {
+    if (!geometry) return geometry;
+    switch (geometry.type) {
+        case 'Point':
+            return { ...geometry, coordinates: transform(geometry.coordinates) };
+        case 'MultiPoint':
+        case 'LineString':
+            return { ...geometry, coordinates: geometry.coordinates.map(transform) };
+        case 'MultiLineString':
+        case 'Polygon':
+            return { ...geometry, coordinates: geometry.coordinates.map(line => line.map(transform)) };
+        case 'MultiPolygon':
+            return { ...geometry, coordinates: geometry.coordinates.map(poly => poly.map(ring => ring.map(transform))) };
+        case 'GeometryCollection':
+            return { ...geometry, geometries: (geometry.geometries || []).map(g => reprojectGeometry(g, transform)) };
+        default:
+            console.warn(`Unsupported geometry type ${geometry.type}; left as is`);
+            return geometry;
     }
 }
 
@@ -58,14 +319,242 @@ export function asPointsFromLonLat(featureCollection) {
     return { type: 'FeatureCollection', features };
 }
 
+/**
+ * Returns the service area whose polygon contains a point
+ * @param {number[]} point - [lng, lat]
+ * @param {Object} serviceAreas - service area polygons FeatureCollection
+ * @returns {string|null} service_area, or null when the point is outside every area
+ */
+export function findServiceAreaAt(point, serviceAreas) {
+    if (!point || !serviceAreas || !Array.isArray(serviceAreas.features)) return null;
+    const match = serviceAreas.features.find(f => f && f.geometry && f.properties && pointInGeometry(point, f.geometry));
+    return match ? match.properties.service_area : null;
+}
+
+/**
+ * Sets `derived_service_area` (point-in-polygon, null when outside every area) and
+ * `service_area_check` ('match' | 'mismatch' | 'outside') on each portfolio point
+ * @param {Object} portfolio - portfolio FeatureCollection of Points (see asPointsFromLonLat)
+ * @param {Object} serviceAreas - service area polygons FeatureCollection
+ * @returns {Object} the same FeatureCollection
+ */
+export function assignDerivedServiceAreas(portfolio, serviceAreas) {
+    if (!portfolio || !Array.isArray(portfolio.features)) return portfolio;
+    portfolio.features.forEach(feature => {
+        if (!feature || !feature.properties) return;
+        const coordinates = feature.geometry ? feature.geometry.coordinates : null;
+        const derived = findServiceAreaAt(coordinates, serviceAreas);
+        feature.properties.derived_service_area = derived;
+        feature.properties.service_area_check = getServiceAreaCheck(feature.properties.service_area, derived);
+    });
+    return portfolio;
+}
+
+/**
+ * Checks a FeatureCollection against one of DATA_SCHEMAS
+ * @param {Object} featureCollection - GeoJSON FeatureCollection
+ * @param {string} datasetId - key of DATA_SCHEMAS
+ * @returns {Object[]} issues ({ dataset, severity, rule, field, record, index, message })
+ */
+export function validateDataset(featureCollection, datasetId) {
+    const schema = DATA_SCHEMAS[datasetId];
+    if (!schema) return [];
+    if (!featureCollection || !Array.isArray(featureCollection.features)) {
+        return [createIssue(datasetId, 'error', 'missing-data', null, null, null, 'File is missing or is not a FeatureCollection')];
+    }
+
+    const issues = [];
+    const seen = {};
+    featureCollection.features.forEach((feature, index) => {
+        const props = (feature && feature.properties) ? feature.properties : {};
+        const record = recordLabel(schema, props, index);
+
+        if (schema.geometryTypes) {
+            const type = feature && feature.geometry ? feature.geometry.type : null;
+            if (!schema.geometryTypes.includes(type)) {
+                issues.push(createIssue(datasetId, 'error', 'geometry', null, record, index,
+                    `Geometry is ${type || 'missing'}; expected ${schema.geometryTypes.join(' or ')}`));
+            }
+        }
+
+        Object.entries(schema.fields).forEach(([field, rule]) => {
+            const value = props[field];
+            if (isBlank(value)) {
+                if (rule.required) {
+                    issues.push(createIssue(datasetId, 'error', 'required', field, record, index, `Missing ${field}`));
+                }
+                return;
+            }
+            if (rule.type && typeof value !== rule.type) {
+                issues.push(createIssue(datasetId, 'error', 'type', field, record, index,
+                    `${field} should be a ${rule.type}, got ${JSON.stringify(value)}`));
+                return;
+            }
+            if (rule.values && !rule.values.includes(value)) {
+                issues.push(createIssue(datasetId, 'warning', 'value', field, record, index,
+                    `Unexpected ${field} "${value}" (expected ${rule.values.join(', ')})`));
+            }
+            if (rule.min != null && typeof value === 'number' && value < rule.min) {
+                issues.push(createIssue(datasetId, 'warning', 'range', field, record, index,
+                    `${field} ${value} is below ${rule.min}`));
+            }
+            if (typeof rule.check === 'function') {
+                const message = rule.check(value);
+                if (message) issues.push(createIssue(datasetId, 'warning', 'value', field, record, index, message));
+            }
+            if (rule.unique) {
+                const key = String(value).trim().toLowerCase();
+                seen[field] = seen[field] || new Map();
+                if (seen[field].has(key)) {
+                    issues.push(createIssue(datasetId, 'warning', 'duplicate', field, record, index,
+                        `Duplicate ${field} "${value}" (also on ${seen[field].get(key)})`));
+                } else {
+                    seen[field].set(key, record);
+                }
+            }
+        });
+
+        if (datasetId === 'portfolio' && !hasValidLonLat(props)) {
+            issues.push(createIssue(datasetId, 'error', 'coordinates', 'lon/lat', record, index,
+                'Missing or invalid lon/lat; not shown on the map'));
+        }
+    });
+    return issues;
+}
+
+/**
+ * Validates the portfolio, parcels and service areas and cross-checks that every
+ * Owned property has a parcel and lies in the service area it is assigned to
+ * @param {Object} datasets
+ * @param {Object} datasets.portfolio - raw portfolio FeatureCollection (before asPointsFromLonLat)
+ * @param {Object} datasets.parcels - all parcels FeatureCollection (before filtering to the portfolio's parcel_ids)
+ * @param {Object} datasets.serviceAreas - service area polygons FeatureCollection
+ * @returns {Object} { datasets: [{ id, title, featureCount, errors, warnings }], issues }
+ */
+export function buildDataQualityReport({ portfolio, parcels, serviceAreas } = {}) {
+    const inputs = { portfolio, parcels, serviceAreas };
+    const issues = Object.entries(inputs).flatMap(([id, data]) => validateDataset(data, id));
+
+    // Owned properties are joined to parcels by parcel_id
+    const parcelIds = new Set((parcels && Array.isArray(parcels.features) ? parcels.features : [])
+        .map(f => (f && f.properties ? f.properties.parcel_id : null))
+        .filter(pid => pid != null)
+        .map(String));
+    (portfolio && Array.isArray(portfolio.features) ? portfolio.features : []).forEach((feature, index) => {
+        const props = (feature && feature.properties) ? feature.properties : {};
+        if (props.ownership_type !== 'Owned') return;
+        const record = recordLabel(DATA_SCHEMAS.portfolio, props, index);
+        if (isBlank(props.parcel_id)) {
+            issues.push(createIssue('portfolio', 'warning', 'missing-parcel', 'parcel_id', record, index, 'Owned property has no parcel_id'));
+        } else if (!parcelIds.has(String(props.parcel_id))) {
+            issues.push(createIssue('portfolio', 'warning', 'missing-parcel', 'parcel_id', record, index,
+                `No parcel found for parcel_id ${props.parcel_id}`));
+        }
+    });
+
+    // Typed service_area against the polygon the point sits in
+    if (serviceAreas && Array.isArray(serviceAreas.features)) {
+        (portfolio && Array.isArray(portfolio.features) ? portfolio.features : []).forEach((feature, index) => {
+            const props = (feature && feature.properties) ? feature.properties : {};
+            const point = readLonLat(props);
+            if (!point) return;
+            const derived = findServiceAreaAt(point, serviceAreas);
+            const check = getServiceAreaCheck(props.service_area, derived);
+            const record = recordLabel(DATA_SCHEMAS.portfolio, props, index);
+            if (check === 'outside') {
+                issues.push(createIssue('portfolio', 'warning', 'outside-service-area', 'service_area', record, index,
+                    `Located outside every service area (assigned ${props.service_area || 'none'})`));
+            } else if (check === 'mismatch') {
+                issues.push(createIssue('portfolio', 'warning', 'service-area-mismatch', 'service_area', record, index,
+                    `Assigned ${props.service_area || 'none'} but located in ${derived}`));
+            }
+        });
+    }
+
+    const datasets = Object.entries(inputs).map(([id, data]) => ({
+        id,
+        title: DATA_SCHEMAS[id].title,
+        featureCount: data && Array.isArray(data.features) ? data.features.length : 0,
+        errors: issues.filter(issue => issue.dataset === id && issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.dataset === id && issue.severity === 'warning').length
+    }));
+    return { datasets, issues };
+}
+
+// A stored bbox would still be in the source CRS, so it is dropped
+function reprojectObject(geojson, transform) {
+    const { bbox, ...rest } = geojson;
+    if (rest.type === 'FeatureCollection') {
+        return { ...rest, features: (rest.features || []).map(f => reprojectObject(f, transform)) };
+    }
+    if (rest.type === 'Feature') {
+        return { ...rest, geometry: reprojectGeometry(rest.geometry, transform) };
+    }
+    return reprojectGeometry(rest, transform);
+}
+
+// 'urn:ogc:def:crs:EPSG::26967', 'urn:ogc:def:crs:EPSG:6.6:26967', 'EPSG:26967' -> 'EPSG:26967'; CRS84 -> 'OGC:CRS84'
+function normalizeCrsName(name) {
+    if (name == null) return null;
+    const text = String(name).trim();
+    if (/CRS84$/i.test(text)) return 'OGC:CRS84';
+    const match = text.match(/EPSG:(?:[\d.]*:)?(\d+)$/i);
+    return match ? `EPSG:${match[1]}` : null;
+}
+
+// First coordinate well outside longitude/latitude range (projected data missing its crs member)
+function looksProjected(geojson) {
+    const features = geojson && Array.isArray(geojson.features) ? geojson.features : [];
+    const feature = features.find(f => f && f.geometry && f.geometry.coordinates);
+    if (!feature) return false;
+    let position = feature.geometry.coordinates;
+    while (Array.isArray(position) && Array.isArray(position[0])) position = position[0];
+    return Array.isArray(position) && (Math.abs(position[0]) > 180 || Math.abs(position[1]) > 90);
+}
+
+function createIssue(dataset, severity, rule, field, record, index, message) {
+    return { dataset, severity, rule, field, record, index, message };
+}
+
+function recordLabel(schema, props, index) {
+    const label = schema.label ? schema.label(props) : null;
+    return isBlank(label) ? `#${index + 1}` : String(label);
+}
+
+function isBlank(value) {
+    return value == null || (typeof value === 'string' && value.trim() === '');
+}
+
+function getServiceAreaCheck(assigned, derived) {
+    if (!derived) return 'outside';
+    return assigned === derived ? 'match' : 'mismatch';
+}
+
+function hasValidLonLat(props) {
+    return readLonLat(props) !== null;
+}
+
+// [lon, lat] with the same coordinate rules as asPointsFromLonLat (plus a range check), or null
+function readLonLat(props) {
+    const lonRaw = props.lon != null ? props.lon : props.longitude;
+    const latRaw = props.lat != null ? props.lat : props.latitude;
+    const lon = typeof lonRaw === 'number' ? lonRaw : Number(lonRaw);
+    const lat = typeof latRaw === 'number' ? latRaw : Number(latRaw);
+    const valid = lonRaw != null && latRaw != null && Number.isFinite(lon) && Number.isFinite(lat) &&
+        Math.abs(lon) <= 180 && Math.abs(lat) <= 90;
+    return valid ? [lon, lat] : null;
+}
+
 /**
  * Fetches text content from a file
  * @param {string} path - Path to the text file
+ * @param {Object} [options]
+ * @param {RequestCache} [options.cache] - fetch cache mode, e.g. 'no-cache' to always revalidate
  * @returns {Promise<string>} Text content
  */
-export async function loadTextFile(path) {
+export async function loadTextFile(path, options = {}) {
     try {
-        const response = await fetch(path);
+        const response = await fetch(path, options.cache ? { cache: options.cache } : undefined);
         if (!response.ok) {
             throw new Error(`Failed to load file: ${response.statusText}`);
         }
@@ -77,3 +566,79 @@ export async function loadTextFile(path) {
     }
 }
 
+function emitLoadProgress(event) {
+    loadProgressListeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (e) {
+            console.error('Load progress listener failed:', e);
+        }
+    });
+}
+
+async function fetchGeoJSON(path, options) {
+    const label = options.label || path;
+    const report = (status, extra = {}) => emitLoadProgress({ path, label, status, loaded: 0, total: null, ...extra });
+    const progress = { loaded: 0, total: null };
+    report('start');
+
+    const cached = await readCachedDataset(path, options.version);
+    if (cached) {
+        const data = reprojectGeoJSON(cached.data, path);
+        console.log(`Loaded ${data.features.length} features from ${path} (cached, ${options.version})`);
+        report('done', { loaded: cached.bytes, total: cached.bytes });
+        return data;
+    }
+
+    const slowTimer = setTimeout(() => report('slow', { ...progress }), SLOW_LOAD_MS);
+    try {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`Failed to load data: ${response.status} ${response.statusText}`.trim());
+        }
+        const text = await readBodyWithProgress(response, (loaded, total) => {
+            progress.loaded = loaded;
+            progress.total = total;
+            report('progress', { ...progress });
+        });
+        const raw = JSON.parse(text);
+        // Written before callers get the object, so their changes never reach the cache
+        await writeCachedDataset(path, options.version, raw, progress.loaded);
+        const data = reprojectGeoJSON(raw, path);
+        console.log(`Loaded ${data.features.length} features from ${path}`);
+        report('done', { loaded: progress.loaded, total: progress.loaded });
+        return data;
+    } catch (error) {
+        console.error('Error loading GeoJSON:', error);
+        report('error', { ...progress, error });
+        throw error;
+    } finally {
+        clearTimeout(slowTimer);
+    }
+}
+
+// Reads a response body chunk by chunk; falls back to text() without a readable stream.
+// Compressed responses can decode past Content-Length, so the total is dropped then.
+async function readBodyWithProgress(response, onChunk) {
+    const header = Number(response.headers.get('Content-Length'));
+    let total = Number.isFinite(header) && header > 0 ? header : null;
+    if (!response.body || typeof response.body.getReader !== 'function') {
+        const text = await response.text();
+        onChunk(text.length, total);
+        return text;
+    }
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parts = [];
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        loaded += value.byteLength;
+        if (total != null && loaded > total) total = null;
+        parts.push(decoder.decode(value, { stream: true }));
+        onChunk(loaded, total);
+    }
+    parts.push(decoder.decode());
+    return parts.join('');
+}
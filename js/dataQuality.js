@@ -0,0 +1,129 @@
+/**
+ * Data-quality panel module
+ * Collapsible admin panel summarizing the load-time validation report
+ * (dataLoader.js buildDataQualityReport): issue counts per dataset and rule,
+ * and the offending records. Portfolio records can be clicked to fly to them.
+ */
+
+import { escapeHtml } from './html.js';
+
+// Readable names for the report's rule ids
+const RULE_LABELS = {
+    'missing-data': 'Missing file',
+    'geometry': 'Invalid geometry',
+    'required': 'Missing required field',
+    'type': 'Wrong field type',
+    'value': 'Unexpected value',
+    'range': 'Out-of-range number',
+    'duplicate': 'Duplicate value',
+    'coordinates': 'Invalid coordinates',
+    'missing-parcel': 'Owned property without parcel',
+    'service-area-mismatch': 'Service area differs from location',
+    'outside-service-area': 'Outside every service area'
+};
+
+let panelEl = null;
+let panelOptions = {};
+
+/**
+ * Creates the data-quality panel from a report
+ * @param {Object} report - from buildDataQualityReport
+ * @param {Object} options
+ * @param {Function} options.onSelectRecord - (issue) => void, called when a portfolio record is clicked
+ * @returns {HTMLElement} panel element
+ */
+export function initDataQualityPanel(report, options = {}) {
+    panelOptions = options || {};
+    if (!panelEl) {
+        panelEl = document.createElement('div');
+        panelEl.id = 'data-quality-panel';
+        panelEl.className = 'data-quality-panel is-collapsed';
+        panelEl.setAttribute('role', 'region');
+        panelEl.setAttribute('aria-label', 'Data Quality');
+        const container = document.getElementById('map-container') || document.body;
+        container.appendChild(panelEl);
+
+        panelEl.addEventListener('click', (event) => {
+            const toggle = event.target.closest('.data-quality-toggle');
+            if (toggle) {
+                const collapsed = panelEl.classList.toggle('is-collapsed');
+                toggle.setAttribute('aria-expanded', String(!collapsed));
+                return;
+            }
+            const recordEl = event.target.closest('.data-quality-record[data-index]');
+            if (recordEl && typeof panelOptions.onSelectRecord === 'function') {
+                const issue = (panelEl.__issues || [])[Number(recordEl.getAttribute('data-index'))];
+                if (issue) panelOptions.onSelectRecord(issue);
+            }
+        });
+    }
+    renderReport(report);
+    return panelEl;
+}
+
+function renderReport(report) {
+    const issues = report && Array.isArray(report.issues) ? report.issues : [];
+    const datasets = report && Array.isArray(report.datasets) ? report.datasets : [];
+    panelEl.__issues = issues;
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const collapsed = panelEl.classList.contains('is-collapsed');
+
+    const summary = datasets.map(ds => (
+        '<tr>' +
+            `<td>${escapeHtml(ds.title)}</td>` +
+            `<td class="num">${ds.featureCount.toLocaleString('en-US')}</td>` +
+            `<td class="num${ds.errors ? ' is-error' : ''}">${ds.errors}</td>` +
+            `<td class="num${ds.warnings ? ' is-warning' : ''}">${ds.warnings}</td>` +
+        '</tr>'
+    )).join('');
+
+    // One group per dataset + rule, errors first
+    const groups = new Map();
+    issues.forEach((issue, index) => {
+        const key = `${issue.dataset}|${issue.rule}`;
+        if (!groups.has(key)) groups.set(key, { issue, entries: [] });
+        groups.get(key).entries.push({ issue, index });
+    });
+    const sortedGroups = Array.from(groups.values()).sort((a, b) =>
+        (a.issue.severity === 'error' ? 0 : 1) - (b.issue.severity === 'error' ? 0 : 1));
+    const titles = Object.fromEntries(datasets.map(ds => [ds.id, ds.title]));
+
+    const details = sortedGroups.map(({ issue, entries }) => {
+        const records = entries.map(({ issue: entry, index }) => {
+            const clickable = entry.dataset === 'portfolio' && entry.rule !== 'coordinates';
+            return (
+                `<li class="data-quality-record${clickable ? ' is-clickable' : ''}"${clickable ? ` data-index="${index}"` : ''}>` +
+                    `<span class="data-quality-record-name">${escapeHtml(entry.record || '')}</span>` +
+                    `<span class="data-quality-record-message">${escapeHtml(entry.message)}</span>` +
+                '</li>'
+            );
+        }).join('');
+        return (
+            `<details class="data-quality-group is-${issue.severity}">` +
+                '<summary>' +
+                    `${escapeHtml(titles[issue.dataset] || issue.dataset)}: ${escapeHtml(RULE_LABELS[issue.rule] || issue.rule)} ` +
+                    `<span class="data-quality-count">${entries.length}</span>` +
+                '</summary>' +
+                `<ul>${records}</ul>` +
+            '</details>'
+        );
+    }).join('');
+
+    panelEl.innerHTML = (
+        '<div class="data-quality-header">' +
+            `<button type="button" class="data-quality-toggle" aria-expanded="${String(!collapsed)}">` +
+                '<span class="data-quality-title">Data Quality</span> ' +
+                `<span class="data-quality-badge${errorCount ? ' is-error' : (issues.length ? ' is-warning' : '')}">` +
+                    `${issues.length ? `${issues.length} ${issues.length === 1 ? 'issue' : 'issues'}` : 'No issues'}` +
+                '</span>' +
+            '</button>' +
+        '</div>' +
+        '<div class="data-quality-body">' +
+            '<table class="data-quality-summary">' +
+                '<thead><tr><th>Dataset</th><th class="num">Records</th><th class="num">Errors</th><th class="num">Warnings</th></tr></thead>' +
+                `<tbody>${summary}</tbody>` +
+            '</table>' +
+            (details || '<div class="data-quality-empty">All records passed validation</div>') +
+        '</div>'
+    );
+}
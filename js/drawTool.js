@@ -0,0 +1,347 @@
+/**
+ * Draw tool module
+ * Lets users draw polygons, rectangles and radius circles on the map with
+ * Mapbox GL Draw. The drawn shapes form the spatial filter (drawn area).
+ *
+ * Shapes are exchanged with the rest of the app as plain descriptors so they
+ * can be stored in the URL and in saved views:
+ *   { type: 'polygon'|'rectangle', coordinates: [[lng, lat], ...] }  (closed outer ring)
+ *   { type: 'circle', center: [lng, lat], radiusKm }
+ */
+
+import { circleRing, distanceKm } from './geometry.js';
+
+const MODE_RECTANGLE = 'draw_rectangle';
+const MODE_CIRCLE = 'draw_circle';
+const SHAPE_TYPES = ['polygon', 'rectangle', 'circle'];
+
+/**
+ * Converts shape descriptors to one MultiPolygon for the filter engine
+ * @param {Object[]} shapes - shape descriptors
+ * @returns {Object|null} GeoJSON MultiPolygon, or null when there are no shapes
+ */
+export function shapesToGeometry(shapes) {
+    const polygons = (shapes || [])
+        .map(shapeToRing)
+        .filter(ring => ring && ring.length >= 4)
+        .map(ring => [ring]);
+    if (polygons.length === 0) return null;
+    return { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Returns the closed outer ring of a shape descriptor
+ * @param {Object} shape
+ * @returns {number[][]|null}
+ */
+export function shapeToRing(shape) {
+    if (!shape || !SHAPE_TYPES.includes(shape.type)) return null;
+    if (shape.type === 'circle') {
+        if (!isLngLat(shape.center) || !(shape.radiusKm > 0)) return null;
+        return circleRing(shape.center, shape.radiusKm);
+    }
+    if (!Array.isArray(shape.coordinates) || !shape.coordinates.every(isLngLat)) return null;
+    const ring = shape.coordinates.map(pt => [pt[0], pt[1]]);
+    if (ring.length < 3) return null;
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first.slice());
+    return ring;
+}
+
+/**
+ * Adds the draw control (polygon, rectangle, circle, delete, clear) to the map
+ * @param {mapboxgl.Map} map
+ * @param {Object} options
+ * @param {Function} options.onChange - (shapes) => void, called after a shape is drawn, edited or removed
+ * @param {string} options.position - control position (default 'bottom-left')
+ * @returns {Object|null} controller { getShapes(), setShapes(shapes), clear(), isDrawing() }
+ */
+export function initializeDrawTool(map, options = {}) {
+    if (typeof MapboxDraw !== 'function') {
+        console.warn('Mapbox GL Draw is not loaded; drawing tools are unavailable');
+        return null;
+    }
+
+    const draw = new MapboxDraw({
+        displayControlsDefault: false,
+        modes: {
+            ...MapboxDraw.modes,
+            [MODE_RECTANGLE]: createRectangleMode(),
+            [MODE_CIRCLE]: createCircleMode()
+        }
+    });
+    const position = options.position || 'bottom-left';
+    // Draw renders no buttons of its own (displayControlsDefault: false); the toolbar below drives it
+    map.addControl(draw, position);
+    map.addControl(new DrawToolbarControl(draw, emitChange), position);
+
+    function emitChange() {
+        if (typeof options.onChange === 'function') options.onChange(getShapes());
+    }
+
+    function getShapes() {
+        return draw.getAll().features.map(featureToShape).filter(Boolean);
+    }
+
+    map.on('draw.create', emitChange);
+    map.on('draw.delete', emitChange);
+    map.on('draw.update', (e) => {
+        (e.features || []).forEach(feature => syncEditedShape(draw, feature, e.action));
+        emitChange();
+    });
+
+    return {
+        getShapes,
+        setShapes(shapes) {
+            draw.deleteAll();
+            const features = (shapes || []).map(shapeToFeature).filter(Boolean);
+            if (features.length) draw.add({ type: 'FeatureCollection', features });
+        },
+        clear() {
+            draw.deleteAll();
+        },
+        isDrawing() {
+            return Boolean(map.__nghsDrawActive);
+        }
+    };
+}
+
+/**
+ * Keeps shape metadata in line with edits: a moved circle keeps its radius
+ * around the new center; reshaped circles and rectangles become plain polygons.
+ */
+function syncEditedShape(draw, feature, action) {
+    const props = feature.properties || {};
+    if (props.shape === 'circle' && action === 'move' && isLngLat(props.center)) {
+        const previousStart = circleRing(props.center, props.radiusKm)[0];
+        const currentStart = feature.geometry.coordinates[0][0];
+        const center = [
+            props.center[0] + (currentStart[0] - previousStart[0]),
+            props.center[1] + (currentStart[1] - previousStart[1])
+        ];
+        draw.setFeatureProperty(feature.id, 'center', center);
+    } else if (action === 'change_coordinates' && props.shape && props.shape !== 'polygon') {
+        draw.setFeatureProperty(feature.id, 'shape', 'polygon');
+    }
+}
+
+function featureToShape(feature) {
+    if (!feature || !feature.geometry || feature.geometry.type !== 'Polygon') return null;
+    const props = feature.properties || {};
+    const ring = feature.geometry.coordinates[0];
+    if (!Array.isArray(ring) || ring.length < 4) return null;
+    if (props.shape === 'circle' && isLngLat(props.center) && props.radiusKm > 0) {
+        return { type: 'circle', center: props.center.slice(), radiusKm: props.radiusKm };
+    }
+    return {
+        type: props.shape === 'rectangle' ? 'rectangle' : 'polygon',
+        coordinates: ring.map(pt => [pt[0], pt[1]])
+    };
+}
+
+function shapeToFeature(shape) {
+    const ring = shapeToRing(shape);
+    if (!ring) return null;
+    const properties = { shape: shape.type };
+    if (shape.type === 'circle') {
+        properties.center = shape.center.slice();
+        properties.radiusKm = shape.radiusKm;
+    }
+    return { type: 'Feature', properties, geometry: { type: 'Polygon', coordinates: [ring] } };
+}
+
+function isLngLat(value) {
+    return Array.isArray(value) && value.length >= 2 && Number.isFinite(value[0]) && Number.isFinite(value[1]);
+}
+
+/**
+ * Custom draw mode: click one corner, move, click the opposite corner
+ */
+function createRectangleMode() {
+    return {
+        onSetup() {
+            const rectangle = this.newFeature({
+                type: 'Feature',
+                properties: { shape: 'rectangle' },
+                geometry: { type: 'Polygon', coordinates: [[]] }
+            });
+            this.addFeature(rectangle);
+            this.clearSelectedFeatures();
+            MapboxDraw.lib.doubleClickZoom.disable(this);
+            this.updateUIClasses({ mouse: 'add' });
+            this.setActionableState({ trash: true });
+            return { rectangle, start: null };
+        },
+        onClick(state, e) {
+            const point = [e.lngLat.lng, e.lngLat.lat];
+            if (!state.start) {
+                state.start = point;
+                return;
+            }
+            updateRectangle(state, point);
+            this.changeMode('simple_select', { featureIds: [state.rectangle.id] });
+        },
+        onMouseMove(state, e) {
+            if (state.start) updateRectangle(state, [e.lngLat.lng, e.lngLat.lat]);
+        },
+        onKeyUp(state, e) {
+            if (e.keyCode === 27) this.changeMode('simple_select');
+        },
+        onStop(state) {
+            finishShape(this, state.rectangle);
+        },
+        onTrash(state) {
+            this.deleteFeature([state.rectangle.id], { silent: true });
+            this.changeMode('simple_select');
+        },
+        toDisplayFeatures(state, geojson, display) {
+            geojson.properties.active = geojson.properties.id === state.rectangle.id ? 'true' : 'false';
+            display(geojson);
+        }
+    };
+}
+
+function updateRectangle(state, corner) {
+    const [x1, y1] = state.start;
+    const [x2, y2] = corner;
+    state.rectangle.incomingCoords([[[x1, y1], [x2, y1], [x2, y2], [x1, y2], [x1, y1]]]);
+}
+
+/**
+ * Custom draw mode: click the center, move to set the radius, click to finish
+ */
+function createCircleMode() {
+    return {
+        onSetup() {
+            const circle = this.newFeature({
+                type: 'Feature',
+                properties: { shape: 'circle' },
+                geometry: { type: 'Polygon', coordinates: [[]] }
+            });
+            this.addFeature(circle);
+            this.clearSelectedFeatures();
+            MapboxDraw.lib.doubleClickZoom.disable(this);
+            this.updateUIClasses({ mouse: 'add' });
+            this.setActionableState({ trash: true });
+            return { circle, center: null };
+        },
+        onClick(state, e) {
+            const point = [e.lngLat.lng, e.lngLat.lat];
+            if (!state.center) {
+                state.center = point;
+                state.circle.setProperty('center', point);
+                return;
+            }
+            updateCircle(state, point);
+            this.changeMode('simple_select', { featureIds: [state.circle.id] });
+        },
+        onMouseMove(state, e) {
+            if (state.center) updateCircle(state, [e.lngLat.lng, e.lngLat.lat]);
+        },
+        onKeyUp(state, e) {
+            if (e.keyCode === 27) this.changeMode('simple_select');
+        },
+        onStop(state) {
+            finishShape(this, state.circle);
+        },
+        onTrash(state) {
+            this.deleteFeature([state.circle.id], { silent: true });
+            this.changeMode('simple_select');
+        },
+        toDisplayFeatures(state, geojson, display) {
+            geojson.properties.active = geojson.properties.id === state.circle.id ? 'true' : 'false';
+            display(geojson);
+        }
+    };
+}
+
+function updateCircle(state, edge) {
+    const radiusKm = distanceKm(state.center, edge);
+    if (!(radiusKm > 0)) return;
+    state.circle.setProperty('radiusKm', radiusKm);
+    state.circle.incomingCoords([circleRing(state.center, radiusKm)]);
+}
+
+// Shared onStop: keep a finished shape (and announce it) or drop an unfinished one
+function finishShape(mode, feature) {
+    MapboxDraw.lib.doubleClickZoom.enable(mode);
+    mode.updateUIClasses({ mouse: 'none' });
+    if (mode.getFeature(feature.id) === undefined) return;
+    if (feature.isValid()) {
+        mode.map.fire('draw.create', { features: [feature.toGeoJSON()] });
+    } else {
+        mode.deleteFeature([feature.id], { silent: true });
+    }
+}
+
+/**
+ * Map control with one button per drawing mode plus delete and clear.
+ * Draw's trash()/deleteAll() API calls are silent, so onDelete reports those removals.
+ */
+class DrawToolbarControl {
+    constructor(draw, onDelete) {
+        this.draw = draw;
+        this.onDelete = onDelete;
+    }
+
+    onAdd(map) {
+        this.map = map;
+        this.container = document.createElement('div');
+        this.container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group draw-toolbar';
+
+        const buttons = [
+            // Polygon and trash reuse the icons shipped in mapbox-gl-draw.css
+            { mode: 'draw_polygon', title: 'Draw a polygon', icon: 'mapbox-gl-draw_polygon' },
+            { mode: MODE_RECTANGLE, title: 'Draw a rectangle', icon: 'draw-toolbar-rectangle' },
+            { mode: MODE_CIRCLE, title: 'Draw a radius circle', icon: 'draw-toolbar-circle' },
+            { action: 'trash', title: 'Delete the selected shape', icon: 'mapbox-gl-draw_trash' },
+            { action: 'clear', title: 'Clear all shapes', icon: 'draw-toolbar-clear' }
+        ];
+
+        this.modeButtons = {};
+        buttons.forEach(config => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `mapbox-gl-draw_ctrl-draw-btn ${config.icon}`;
+            button.title = config.title;
+            button.setAttribute('aria-label', config.title);
+            button.addEventListener('click', () => {
+                if (config.mode) {
+                    // Clicking the active mode again cancels it
+                    const next = this.draw.getMode() === config.mode ? 'simple_select' : config.mode;
+                    this.draw.changeMode(next);
+                    this.updateActive(next);
+                } else if (config.action === 'trash') {
+                    this.draw.trash();
+                    this.onDelete();
+                } else if (config.action === 'clear') {
+                    this.draw.deleteAll();
+                    this.draw.changeMode('simple_select');
+                    this.updateActive('simple_select');
+                    this.onDelete();
+                }
+            });
+            if (config.mode) this.modeButtons[config.mode] = button;
+            this.container.appendChild(button);
+        });
+
+        this.handleModeChange = (e) => this.updateActive(e.mode);
+        map.on('draw.modechange', this.handleModeChange);
+        return this.container;
+    }
+
+    onRemove() {
+        this.map.off('draw.modechange', this.handleModeChange);
+        this.container.remove();
+        this.map = null;
+    }
+
+    // Also flags the map so point and cluster clicks stay out of the way while drawing
+    updateActive(mode) {
+        this.map.__nghsDrawActive = Object.prototype.hasOwnProperty.call(this.modeButtons, mode);
+        Object.entries(this.modeButtons).forEach(([buttonMode, button]) => {
+            button.classList.toggle('active', buttonMode === mode);
+        });
+    }
+}
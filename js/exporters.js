@@ -0,0 +1,469 @@
+/**
+ * Export module
+ * Writes the filtered portfolio to downloadable files: spreadsheets (CSV,
+ * XLSX) and spatial files (GeoJSON, KML, zipped Shapefile). File names carry a
+ * short filter summary and the portfolio's last updated date so exports can
+ * be told apart later; spatial files also embed the filter metadata.
+ *
+ * Spatial exports take layers { points, parcels, serviceAreas } where each is a
+ * feature array in WGS84 (serviceAreas may be null to leave them out).
+ */
+
+import { ALL_PROPERTY_TYPES, ALL_SERVICE_AREAS, isRangeActive, isSpatialFilterActive, getServiceAreaField } from './filters.js';
+import { describeRange } from './rangeFilters.js';
+import { computeServiceAreaStats } from './stats.js';
+
+const FILE_PREFIX = 'NGHS-Portfolio';
+const EXPORT_TITLE = 'NGHS Real Estate Portfolio';
+
+// Layer names used for GeoJSON `layer` properties, KML folders and Shapefile names
+const SPATIAL_LAYERS = [
+    { key: 'points', name: 'portfolio_points', label: 'Portfolio Properties' },
+    { key: 'parcels', name: 'parcels', label: 'Owned Parcels' },
+    { key: 'serviceAreas', name: 'service_areas', label: 'Service Areas' }
+];
+
+// Fields derived on load (dataLoader.js assignDerivedServiceAreas) are exported
+// under names that say they come from the point's location, not the source data
+const EXPORT_FIELD_NAMES = {
+    derived_service_area: 'service_area_by_location',
+    service_area_check: 'service_area_location_check'
+};
+
+// dBase field names hold at most 10 characters; shp-write truncates longer keys,
+// which makes them hard to read and lets two keys with a shared prefix collide
+const DBF_FIELD_NAME_LENGTH = 10;
+// Readable short names for the long property keys, used before falling back to truncation
+const DBF_FIELD_ALIASES = {
+    ownership_type: 'ownership',
+    building_type: 'bldg_type',
+    square_footage: 'sq_ft',
+    listed_for_sale: 'for_sale',
+    service_area: 'svc_area',
+    service_area_by_location: 'svc_loc',
+    service_area_location_check: 'svc_check'
+};
+
+// WGS84 .prj written next to every Shapefile
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["Degree",0.017453292519943295]]';
+
+/**
+ * Lists the active filters of a spec in plain words, e.g. ['Owned', 'Gainesville', 'No Longstreet']
+ * @param {Object} spec - filter spec (see filters.js createDefaultFilterSpec)
+ * @returns {string[]} empty when nothing is filtered
+ */
+export function describeFilterSpec(spec) {
+    const s = spec || {};
+    const parts = [];
+    if (s.selectedOwnership && s.selectedOwnership !== 'all') parts.push(s.selectedOwnership);
+    parts.push(...describeSelection(s.selectedPropertyTypes, ALL_PROPERTY_TYPES, 'types'));
+    parts.push(...describeSelection(s.selectedServiceAreas, ALL_SERVICE_AREAS, 'areas'));
+    if (getServiceAreaField(s) === 'derived_service_area') parts.push('Areas by Location');
+    if (s.showLongstreet === false) parts.push('No Longstreet');
+    if (s.selectedForSale === 'Yes') parts.push('For Sale');
+    if (s.selectedForSale === 'No') parts.push('Not for Sale');
+    if (isRangeActive(s.squareFootageRange)) parts.push(describeRange(s.squareFootageRange, 'SF'));
+    if (isRangeActive(s.landSizeRange)) parts.push(describeRange(s.landSizeRange, 'acres'));
+    if (isSpatialFilterActive(s.spatialFilter)) parts.push('Drawn Area');
+    return parts;
+}
+
+/**
+ * Builds a file name (without extension) from the filters and last updated date,
+ * e.g. "NGHS-Portfolio_Owned_Gainesville_2026-02-27"
+ * @param {Object} spec - filter spec
+ * @param {string} lastUpdated - text of last_updated.txt (e.g. "February 27, 2026")
+ * @returns {string}
+ */
+export function buildExportFileName(spec, lastUpdated) {
+    const parts = describeFilterSpec(spec);
+    const summary = parts.length ? parts.map(slugify).filter(Boolean).join('_') : 'All';
+    const date = formatDateForFile(lastUpdated);
+    return [FILE_PREFIX, summary, date].filter(Boolean).join('_');
+}
+
+/**
+ * Downloads the features (all properties) as CSV
+ * @param {Object[]} features - filtered portfolio features
+ * @param {Object} options - { spec, lastUpdated }
+ */
+export function exportFeaturesToCsv(features, options = {}) {
+    const exported = withExportProperties(features);
+    const columns = collectColumns(exported);
+    const lines = [columns.map(csvCell).join(',')];
+    exported.forEach(f => {
+        const p = f && f.properties ? f.properties : {};
+        lines.push(columns.map(col => csvCell(p[col])).join(','));
+    });
+    // BOM so Excel opens the UTF-8 file with the right encoding
+    const text = '\uFEFF' + lines.join('\r\n') + '\r\n';
+    downloadBlob(new Blob([text], { type: 'text/csv;charset=utf-8' }), `${buildExportFileName(options.spec, options.lastUpdated)}.csv`);
+}
+
+/**
+ * Downloads the features as an Excel workbook: a Properties sheet with all
+ * properties and a Service Area Summary sheet with the stats panel aggregates
+ * @param {Object[]} features - filtered portfolio features
+ * @param {Object} options - { spec, lastUpdated }
+ */
+export function exportFeaturesToXlsx(features, options = {}) {
+    if (typeof XLSX === 'undefined') {
+        console.error('SheetJS (XLSX) is not loaded; cannot export to Excel');
+        window.alert('Excel export is unavailable right now. Please try CSV instead.');
+        return;
+    }
+
+    const exported = withExportProperties(features);
+    const columns = collectColumns(exported);
+    const propertyRows = exported.map(f => {
+        const p = f && f.properties ? f.properties : {};
+        const row = {};
+        columns.forEach(col => { row[col] = p[col] == null ? '' : p[col]; });
+        return row;
+    });
+
+    const spec = options.spec || {};
+    const areas = Array.isArray(spec.selectedServiceAreas) ? spec.selectedServiceAreas : ALL_SERVICE_AREAS;
+    const stats = computeServiceAreaStats(features, areas, getServiceAreaField(spec));
+    const summaryRows = stats.map(r => ({
+        'Service Area': r.area,
+        'Properties': r.count,
+        'Total SF': Math.round(r.totalSf),
+        'Average SF': Number.isFinite(r.avgSf) ? Math.round(r.avgSf) : '',
+        'Properties with SF': r.countWithSf,
+        'Total Acres': roundTo(r.totalAcres, 2)
+    }));
+    // Same total row as the stats panel (shown when more than one area is selected)
+    if (stats.length > 1) {
+        const totalSf = stats.reduce((sum, r) => sum + r.totalSf, 0);
+        const countWithSf = stats.reduce((sum, r) => sum + r.countWithSf, 0);
+        summaryRows.push({
+            'Service Area': 'Total',
+            'Properties': stats.reduce((sum, r) => sum + r.count, 0),
+            'Total SF': Math.round(totalSf),
+            'Average SF': countWithSf > 0 ? Math.round(totalSf / countWithSf) : '',
+            'Properties with SF': countWithSf,
+            'Total Acres': roundTo(stats.reduce((sum, r) => sum + r.totalAcres, 0), 2)
+        });
+    }
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(propertyRows, { header: columns }), 'Properties');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryRows), 'Service Area Summary');
+    XLSX.writeFile(workbook, `${buildExportFileName(spec, options.lastUpdated)}.xlsx`);
+}
+
+/**
+ * Describes an export (title, filters, data date, feature counts) for embedding in spatial files
+ * @param {Object} layers - { points, parcels, serviceAreas }
+ * @param {Object} options - { spec, lastUpdated }
+ * @returns {Object} metadata
+ */
+export function buildExportMetadata(layers, options = {}) {
+    const filters = describeFilterSpec(options.spec);
+    const counts = {};
+    SPATIAL_LAYERS.forEach(layer => {
+        if (Array.isArray(layers[layer.key])) counts[layer.name] = layers[layer.key].length;
+    });
+    return {
+        title: EXPORT_TITLE,
+        exportedAt: new Date().toISOString(),
+        portfolioLastUpdated: options.lastUpdated || '',
+        filters: filters.length ? filters.join('; ') : 'None (all properties)',
+        filterSpec: options.spec || null,
+        counts
+    };
+}
+
+/**
+ * Downloads the layers as one GeoJSON FeatureCollection. Each feature gets a
+ * `layer` property; the metadata is stored as a top-level `metadata` member.
+ * @param {Object} layers - { points, parcels, serviceAreas }
+ * @param {Object} options - { spec, lastUpdated }
+ */
+export function exportLayersToGeoJSON(layers, options = {}) {
+    const features = [];
+    SPATIAL_LAYERS.forEach(layer => {
+        (layers[layer.key] || []).forEach(f => {
+            if (!f || !f.geometry) return;
+            features.push({ type: 'Feature', properties: { layer: layer.name, ...exportProperties(f.properties) }, geometry: f.geometry });
+        });
+    });
+    const collection = { type: 'FeatureCollection', metadata: buildExportMetadata(layers, options), features };
+    downloadBlob(
+        new Blob([JSON.stringify(collection)], { type: 'application/geo+json' }),
+        `${buildExportFileName(options.spec, options.lastUpdated)}.geojson`
+    );
+}
+
+/**
+ * Downloads the layers as KML with one folder per layer; the metadata goes in
+ * the document description and ExtendedData
+ * @param {Object} layers - { points, parcels, serviceAreas }
+ * @param {Object} options - { spec, lastUpdated }
+ */
+export function exportLayersToKml(layers, options = {}) {
+    const metadata = buildExportMetadata(layers, options);
+    const folders = SPATIAL_LAYERS
+        .filter(layer => Array.isArray(layers[layer.key]))
+        .map(layer => {
+            const placemarks = layers[layer.key].map(f => kmlPlacemark(f, layer.key)).filter(Boolean).join('');
+            return `<Folder><name>${escapeXml(layer.label)}</name>${placemarks}</Folder>`;
+        })
+        .join('');
+
+    const kml = (
+        '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+            `<name>${escapeXml(metadata.title)}</name>` +
+            `<description>${escapeXml(`Filters: ${metadata.filters}. Portfolio last updated: ${metadata.portfolioLastUpdated || 'unknown'}. Exported: ${metadata.exportedAt}.`)}</description>` +
+            kmlExtendedData({
+                filters: metadata.filters,
+                portfolioLastUpdated: metadata.portfolioLastUpdated,
+                exportedAt: metadata.exportedAt
+            }) +
+            '<Style id="portfolio"><IconStyle><color>ff403a34</color></IconStyle></Style>' +
+            '<Style id="parcels"><LineStyle><color>ff2b2b2b</color><width>1.5</width></LineStyle><PolyStyle><color>59ffffff</color></PolyStyle></Style>' +
+            '<Style id="serviceAreas"><LineStyle><color>ff5c5c5c</color><width>2</width></LineStyle><PolyStyle><color>33ffffff</color></PolyStyle></Style>' +
+            folders +
+        '</Document></kml>'
+    );
+    downloadBlob(
+        new Blob([kml], { type: 'application/vnd.google-earth.kml+xml' }),
+        `${buildExportFileName(options.spec, options.lastUpdated)}.kml`
+    );
+}
+
+/**
+ * Downloads the layers as a zip of Shapefiles (one per layer, WGS84) plus a
+ * metadata.txt describing the filters
+ * @param {Object} layers - { points, parcels, serviceAreas }
+ * @param {Object} options - { spec, lastUpdated }
+ * @returns {Promise<void>}
+ */
+export async function exportLayersToShapefile(layers, options = {}) {
+    if (typeof shpwrite === 'undefined' || typeof JSZip === 'undefined') {
+        console.error('shp-write or JSZip is not loaded; cannot export a Shapefile');
+        window.alert('Shapefile export is unavailable right now. Please try GeoJSON or KML instead.');
+        return;
+    }
+
+    const baseName = buildExportFileName(options.spec, options.lastUpdated);
+    const zip = new JSZip();
+    const folder = zip.folder(baseName);
+    // layer name -> Map(property key -> DBF field name), listed in metadata.txt
+    const fieldNames = {};
+
+    SPATIAL_LAYERS.forEach(layer => {
+        const features = (layers[layer.key] || []).filter(f => f && f.geometry);
+        if (features.length === 0) return;
+        const isPoint = layer.key === 'points';
+        const geometryType = isPoint ? 'POINT' : 'POLYGON';
+        const usable = withExportProperties(features.filter(f => isPoint
+            ? f.geometry.type === 'Point'
+            : (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')));
+        if (usable.length === 0) return;
+        const names = buildDbfFieldNames(collectColumns(usable));
+        fieldNames[layer.name] = names;
+        // Written per layer (not via shpwrite.zip) so Polygon and MultiPolygon features share one file
+        shpwrite.write(
+            usable.map(f => renameProperties(f.properties || {}, names)),
+            geometryType,
+            usable.map(f => f.geometry.coordinates),
+            (err, files) => {
+                if (err) throw err;
+                folder.file(`${layer.name}.shp`, files.shp.buffer, { binary: true });
+                folder.file(`${layer.name}.shx`, files.shx.buffer, { binary: true });
+                folder.file(`${layer.name}.dbf`, files.dbf.buffer, { binary: true });
+                folder.file(`${layer.name}.prj`, WGS84_PRJ);
+            }
+        );
+    });
+
+    folder.file('metadata.txt', formatMetadataText(buildExportMetadata(layers, options), fieldNames));
+
+    const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    downloadBlob(blob, `${baseName}.zip`);
+}
+
+/**
+ * Gives every property key a unique dBase field name of at most 10 characters:
+ * the alias from DBF_FIELD_ALIASES or the truncated key, with a numeric suffix
+ * when two names would clash (dBase names are case-insensitive)
+ * @param {string[]} keys - property keys in column order
+ * @returns {Map<string, string>} property key -> field name
+ */
+export function buildDbfFieldNames(keys) {
+    const names = new Map();
+    const used = new Set();
+    (keys || []).forEach(key => {
+        const base = (DBF_FIELD_ALIASES[key] || String(key)).slice(0, DBF_FIELD_NAME_LENGTH);
+        let name = base;
+        for (let n = 1; used.has(name.toLowerCase()); n++) {
+            const suffix = `_${n}`;
+            name = base.slice(0, DBF_FIELD_NAME_LENGTH - suffix.length) + suffix;
+        }
+        used.add(name.toLowerCase());
+        names.set(key, name);
+    });
+    return names;
+}
+
+/**
+ * Saves a Blob as a file through a temporary link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function describeSelection(selected, all, noun) {
+    if (!Array.isArray(selected)) return [];
+    if (selected.length === 0) return [`No ${noun}`];
+    if (all.every(v => selected.includes(v))) return [];
+    return selected.length <= 2 ? selected.slice() : [`${selected.length} ${noun}`];
+}
+
+// Properties as written to files, with derived fields under their EXPORT_FIELD_NAMES
+function exportProperties(properties) {
+    const exported = {};
+    Object.entries(properties || {}).forEach(([key, value]) => {
+        exported[EXPORT_FIELD_NAMES[key] || key] = value;
+    });
+    return exported;
+}
+
+function withExportProperties(features) {
+    return (features || []).map(f => ({ ...f, properties: exportProperties(f && f.properties) }));
+}
+
+// Union of property keys in first-seen order so no attribute is dropped
+function collectColumns(features) {
+    const columns = [];
+    const seen = new Set();
+    (features || []).forEach(f => {
+        Object.keys(f && f.properties ? f.properties : {}).forEach(key => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                columns.push(key);
+            }
+        });
+    });
+    return columns;
+}
+
+function csvCell(value) {
+    if (value == null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function slugify(text) {
+    return String(text)
+        .replace(/≥/g, 'min ')
+        .replace(/≤/g, 'max ')
+        .replace(/–/g, 'to')
+        .replace(/,/g, '')
+        .replace(/[^A-Za-z0-9.]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// "February 27, 2026" -> "2026-02-27"; unparseable text is slugified as-is
+function formatDateForFile(text) {
+    if (!text) return '';
+    const date = new Date(String(text).trim());
+    if (Number.isNaN(date.getTime())) return slugify(text);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function kmlPlacemark(feature, styleId) {
+    if (!feature || !feature.geometry) return '';
+    const geometry = kmlGeometry(feature.geometry);
+    if (!geometry) return '';
+    const p = feature.properties || {};
+    const name = p.name || p.parcel_id || p.service_area || '';
+    return (
+        '<Placemark>' +
+            `<name>${escapeXml(name)}</name>` +
+            `<styleUrl>#${styleId}</styleUrl>` +
+            kmlExtendedData(exportProperties(p)) +
+            geometry +
+        '</Placemark>'
+    );
+}
+
+function kmlGeometry(geometry) {
+    const coords = (pts) => pts.map(pt => `${pt[0]},${pt[1]}`).join(' ');
+    const polygon = (rings) => (
+        '<Polygon>' +
+            `<outerBoundaryIs><LinearRing><coordinates>${coords(rings[0])}</coordinates></LinearRing></outerBoundaryIs>` +
+            rings.slice(1).map(ring => `<innerBoundaryIs><LinearRing><coordinates>${coords(ring)}</coordinates></LinearRing></innerBoundaryIs>`).join('') +
+        '</Polygon>'
+    );
+    if (geometry.type === 'Point') {
+        return `<Point><coordinates>${geometry.coordinates[0]},${geometry.coordinates[1]}</coordinates></Point>`;
+    }
+    if (geometry.type === 'Polygon') return polygon(geometry.coordinates);
+    if (geometry.type === 'MultiPolygon') {
+        return `<MultiGeometry>${geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+    }
+    return '';
+}
+
+function kmlExtendedData(values) {
+    const data = Object.entries(values || {})
+        .filter(([, value]) => value != null && typeof value !== 'object')
+        .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+    return data ? `<ExtendedData>${data}</ExtendedData>` : '';
+}
+
+function renameProperties(properties, names) {
+    const renamed = {};
+    Object.entries(properties).forEach(([key, value]) => {
+        renamed[names.get(key) || key] = value;
+    });
+    return renamed;
+}
+
+function formatMetadataText(metadata, fieldNames = {}) {
+    const lines = [
+        metadata.title,
+        `Exported: ${metadata.exportedAt}`,
+        `Portfolio last updated: ${metadata.portfolioLastUpdated || 'unknown'}`,
+        `Filters: ${metadata.filters}`,
+        'Coordinate system: WGS84 (EPSG:4326)',
+        '',
+        'Layers:'
+    ];
+    Object.entries(metadata.counts).forEach(([name, count]) => lines.push(`  ${name}: ${count} feature(s)`));
+    Object.entries(fieldNames).forEach(([layerName, names]) => {
+        lines.push('', `${layerName} fields (DBF name = property):`);
+        names.forEach((name, key) => lines.push(`  ${name} = ${key}`));
+    });
+    lines.push('', 'Filter spec (JSON):', JSON.stringify(metadata.filterSpec));
+    return lines.join('\r\n') + '\r\n';
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function roundTo(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,322 @@
+/**
+ * Portfolio filter engine
+ * A single declarative filter spec (the drawer selections) is turned into a
+ * small condition tree, and that one tree is compiled to both:
+ * - a JS predicate (clustered source data, stats panel, search), and
+ * - a Mapbox GL expression.
+ * The map filters by handing predicate-filtered data to its sources, because
+ * clusters are built from source data and a layer filter could not change
+ * their counts. No layer uses the expression today: it is kept so a layer
+ * filter never needs a second implementation, and test/filters.test.js
+ * checks that both compilations select the same features.
+ *
+ * Semantics shared by every consumer:
+ * - An empty property type or service area list matches nothing; the full list matches everything.
+ * - "Medical Office" matches any building_type starting with "Medical Office".
+ * - "Other" matches anything that is not Medical Office or another explicit category.
+ * - Listed for sale 'No' also matches rows without a value.
+ * - Size ranges keep or drop blank values according to their includeNull flag.
+ * - A drawn area (spatialFilter) keeps only points inside its Polygon/MultiPolygon.
+ * - Service areas match the typed service_area, or the polygon the point sits in
+ *   (derived_service_area) when serviceAreaSource is 'location'.
+ */
+
+import { pointInGeometry } from './geometry.js';
+
+export const OWNERSHIP_OPTIONS = ['all', 'Owned', 'Leased'];
+export const ALL_PROPERTY_TYPES = ['Medical Office', 'Hospital', 'Land', 'Office', 'Vacant Building', 'Multi-Family', 'Other'];
+export const ALL_SERVICE_AREAS = ['Habersham', 'Lumpkin', 'Gainesville', 'Braselton', 'Barrow'];
+export const FOR_SALE_OPTIONS = ['all', 'Yes', 'No'];
+export const SERVICE_AREA_SOURCES = ['attribute', 'location'];
+
+const MEDICAL_OFFICE_PREFIX = 'Medical Office';
+// building_type values matched exactly; anything else (besides Medical Office) is "Other"
+const EXPLICIT_CATEGORIES = ['Hospital', 'Land', 'Office', 'Vacant Building', 'Multi-Family'];
+
+/**
+ * Returns the default (show everything) filter spec
+ * @returns {Object} spec
+ */
+export function createDefaultFilterSpec() {
+    return {
+        selectedOwnership: 'all',
+        selectedPropertyTypes: [...ALL_PROPERTY_TYPES],
+        selectedServiceAreas: [...ALL_SERVICE_AREAS],
+        serviceAreaSource: 'attribute',
+        showLongstreet: true,
+        selectedForSale: 'all',
+        squareFootageRange: null,
+        landSizeRange: null,
+        spatialFilter: null
+    };
+}
+
+/**
+ * Returns true when a size range narrows anything (a bound is set or blanks are excluded)
+ * @param {Object|null} range - { min, max, includeNull }
+ * @returns {boolean}
+ */
+export function isRangeActive(range) {
+    return Boolean(range) && (range.min != null || range.max != null || range.includeNull === false);
+}
+
+/**
+ * Returns the property that assigns a feature to a service area for a spec
+ * @param {Object} spec - see createDefaultFilterSpec
+ * @returns {string} 'service_area' or 'derived_service_area'
+ */
+export function getServiceAreaField(spec) {
+    return spec && spec.serviceAreaSource === 'location' ? 'derived_service_area' : 'service_area';
+}
+
+/**
+ * Returns true when a drawn area geometry is set
+ * @param {Object|null} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean}
+ */
+export function isSpatialFilterActive(geometry) {
+    return Boolean(geometry) && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') &&
+        Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0;
+}
+
+/**
+ * Compiles a filter spec to a JS predicate over GeoJSON features
+ * @param {Object} spec - see createDefaultFilterSpec
+ * @returns {(feature: Object) => boolean}
+ */
+export function compileFilterPredicate(spec) {
+    const tree = buildConditionTree(spec);
+    return (feature) => {
+        if (!feature || !feature.properties) return false;
+        return evaluateNode(tree, feature);
+    };
+}
+
+/**
+ * Compiles a filter spec to a Mapbox GL filter expression (not applied to a
+ * layer by the app; see the module comment)
+ * @param {Object} spec - see createDefaultFilterSpec
+ * @returns {Array|null} expression, or null when nothing is filtered
+ */
+export function compileFilterExpression(spec) {
+    const tree = buildConditionTree(spec);
+    if (tree.op === 'all' && tree.nodes.length === 0) return null;
+    return toExpression(tree);
+}
+
+/**
+ * Filters a feature array with a spec
+ * @param {Object[]} features
+ * @param {Object} spec
+ * @returns {Object[]} matching features
+ */
+export function filterFeatures(features, spec) {
+    if (!Array.isArray(features)) return [];
+    const predicate = compileFilterPredicate(spec);
+    return features.filter(predicate);
+}
+
+/**
+ * Builds the condition tree for a spec.
+ * Node shapes:
+ *   { op: 'all'|'any', nodes }  { op: 'not', node }  { op: 'false' }
+ *   { op: 'eq', field, value }  { op: 'in', field, values }  { op: 'prefix', field, prefix }
+ *   { op: 'range', field, min, max, includeNull }  { op: 'within', geometry }
+ * @param {Object} spec
+ * @returns {Object} root node (always an 'all' node)
+ */
+export function buildConditionTree(spec) {
+    const s = { ...createDefaultFilterSpec(), ...(spec || {}) };
+    const nodes = [];
+
+    // Ownership
+    if (s.selectedOwnership && s.selectedOwnership !== 'all') {
+        nodes.push({ op: 'eq', field: 'ownership_type', value: s.selectedOwnership });
+    }
+
+    // Property type
+    const types = Array.isArray(s.selectedPropertyTypes) ? s.selectedPropertyTypes : [];
+    if (types.length === 0) {
+        nodes.push({ op: 'false' });
+    } else if (!coversAll(types, ALL_PROPERTY_TYPES)) {
+        const typeNodes = types.map(propertyTypeNode);
+        nodes.push(typeNodes.length === 1 ? typeNodes[0] : { op: 'any', nodes: typeNodes });
+    }
+
+    // Service area
+    const areas = Array.isArray(s.selectedServiceAreas) ? s.selectedServiceAreas : [];
+    if (areas.length === 0) {
+        nodes.push({ op: 'false' });
+    } else if (!coversAll(areas, ALL_SERVICE_AREAS)) {
+        nodes.push({ op: 'in', field: getServiceAreaField(s), values: [...areas] });
+    }
+
+    // Longstreet: when hidden, exclude longstreet === 'Yes'
+    if (s.showLongstreet === false) {
+        nodes.push({ op: 'not', node: { op: 'eq', field: 'longstreet', value: 'Yes' } });
+    }
+
+    // Listed for sale
+    if (s.selectedForSale === 'Yes') {
+        nodes.push({ op: 'eq', field: 'listed_for_sale', value: 'Yes' });
+    } else if (s.selectedForSale === 'No') {
+        nodes.push({ op: 'not', node: { op: 'eq', field: 'listed_for_sale', value: 'Yes' } });
+    }
+
+    // Size ranges
+    if (isRangeActive(s.squareFootageRange)) {
+        nodes.push(rangeNode('square_footage', s.squareFootageRange));
+    }
+    if (isRangeActive(s.landSizeRange)) {
+        nodes.push(rangeNode('land_size', s.landSizeRange));
+    }
+
+    // Drawn area
+    if (isSpatialFilterActive(s.spatialFilter)) {
+        nodes.push({ op: 'within', geometry: s.spatialFilter });
+    }
+
+    return { op: 'all', nodes };
+}
+
+/**
+ * Maps a raw building_type to its property type category (one of ALL_PROPERTY_TYPES)
+ * @param {string|null} buildingType
+ * @returns {string} category
+ */
+export function getPropertyTypeCategory(buildingType) {
+    const value = buildingType == null ? '' : String(buildingType);
+    if (value.startsWith(MEDICAL_OFFICE_PREFIX)) return 'Medical Office';
+    if (EXPLICIT_CATEGORIES.includes(value)) return value;
+    return 'Other';
+}
+
+/**
+ * Mapbox GL expression evaluating to a feature's property type category,
+ * the expression form of getPropertyTypeCategory (used for data-driven styling)
+ * @returns {Array} expression
+ */
+export function propertyTypeCategoryExpression() {
+    return ['case',
+        toExpression({ op: 'prefix', field: 'building_type', prefix: MEDICAL_OFFICE_PREFIX }), 'Medical Office',
+        toExpression({ op: 'in', field: 'building_type', values: [...EXPLICIT_CATEGORIES] }), ['to-string', ['get', 'building_type']],
+        'Other'
+    ];
+}
+
+function propertyTypeNode(type) {
+    const medicalOffice = { op: 'prefix', field: 'building_type', prefix: MEDICAL_OFFICE_PREFIX };
+    if (type === 'Medical Office') return medicalOffice;
+    if (type === 'Other') {
+        return {
+            op: 'all',
+            nodes: [
+                { op: 'not', node: { op: 'in', field: 'building_type', values: [...EXPLICIT_CATEGORIES] } },
+                { op: 'not', node: medicalOffice }
+            ]
+        };
+    }
+    return { op: 'eq', field: 'building_type', value: type };
+}
+
+function rangeNode(field, range) {
+    return {
+        op: 'range',
+        field,
+        min: range.min != null ? Number(range.min) : null,
+        max: range.max != null ? Number(range.max) : null,
+        includeNull: range.includeNull !== false
+    };
+}
+
+function coversAll(selected, all) {
+    return all.every(v => selected.includes(v));
+}
+
+/**
+ * Evaluates a condition node against a feature (JS predicate compiler)
+ */
+function evaluateNode(node, feature) {
+    const props = feature.properties;
+    switch (node.op) {
+        case 'all':
+            return node.nodes.every(child => evaluateNode(child, feature));
+        case 'any':
+            return node.nodes.some(child => evaluateNode(child, feature));
+        case 'not':
+            return !evaluateNode(node.node, feature);
+        case 'false':
+            return false;
+        case 'eq':
+            return valueOf(props, node.field) === node.value;
+        case 'in':
+            return node.values.includes(valueOf(props, node.field));
+        case 'prefix':
+            return stringOf(props, node.field).startsWith(node.prefix);
+        case 'range': {
+            const value = valueOf(props, node.field);
+            if (typeof value !== 'number' || !Number.isFinite(value)) return node.includeNull;
+            if (node.min != null && value < node.min) return false;
+            if (node.max != null && value > node.max) return false;
+            return true;
+        }
+        case 'within': {
+            const geometry = feature.geometry;
+            if (!geometry || geometry.type !== 'Point') return false;
+            return pointInGeometry(geometry.coordinates, node.geometry);
+        }
+        default:
+            console.warn(`Unknown filter node '${node.op}'`);
+            return true;
+    }
+}
+
+/**
+ * Converts a condition node to a Mapbox GL expression (expression compiler)
+ */
+function toExpression(node) {
+    switch (node.op) {
+        case 'all':
+            if (node.nodes.length === 1) return toExpression(node.nodes[0]);
+            return ['all', ...node.nodes.map(toExpression)];
+        case 'any':
+            if (node.nodes.length === 1) return toExpression(node.nodes[0]);
+            return ['any', ...node.nodes.map(toExpression)];
+        case 'not':
+            return ['!', toExpression(node.node)];
+        case 'false':
+            return ['boolean', false];
+        case 'eq':
+            return ['==', ['get', node.field], node.value];
+        case 'in':
+            return ['in', ['get', node.field], ['literal', node.values]];
+        case 'prefix':
+            // to-string maps null/missing to '' exactly like stringOf()
+            return ['==', ['slice', ['to-string', ['get', node.field]], 0, node.prefix.length], node.prefix];
+        case 'range': {
+            const bounds = [];
+            if (node.min != null) bounds.push(['>=', ['get', node.field], node.min]);
+            if (node.max != null) bounds.push(['<=', ['get', node.field], node.max]);
+            const inRange = bounds.length === 0 ? true : (bounds.length === 1 ? bounds[0] : ['all', ...bounds]);
+            return ['case',
+                ['==', ['typeof', ['get', node.field]], 'number'], inRange,
+                node.includeNull
+            ];
+        }
+        case 'within':
+            return ['within', node.geometry];
+        default:
+            console.warn(`Unknown filter node '${node.op}'`);
+            return true;
+    }
+}
+
+// Missing properties read as null, matching ['get', field] in expressions
+function valueOf(props, field) {
+    return props[field] === undefined ? null : props[field];
+}
+
+function stringOf(props, field) {
+    const value = valueOf(props, field);
+    return value == null ? '' : String(value);
+}
@@ -0,0 +1,194 @@
+/**
+ * Geometry helpers
+ * Small planar geometry utilities on [lng, lat] coordinates used by the
+ * spatial filter (drawn shapes) and anything else that needs point-in-polygon
+ * tests without pulling in a full GIS library.
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Returns the polygons of a Polygon/MultiPolygon geometry as arrays of rings
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} list of polygons (each a list of rings)
+ */
+export function getPolygons(geometry) {
+    if (!geometry || !Array.isArray(geometry.coordinates)) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+/**
+ * Ray-casting test of a point against one linear ring
+ * @param {number[]} point - [lng, lat]
+ * @param {number[][]} ring - ring coordinates (closed or open)
+ * @returns {boolean}
+ */
+export function pointInRing(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        const crosses = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Whether a point falls inside a Polygon/MultiPolygon (holes excluded)
+ * @param {number[]} point - [lng, lat]
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean}
+ */
+export function pointInGeometry(point, geometry) {
+    if (!Array.isArray(point) || point.length < 2) return false;
+    return getPolygons(geometry).some(rings => {
+        if (!rings.length || !pointInRing(point, rings[0])) return false;
+        return !rings.slice(1).some(hole => pointInRing(point, hole));
+    });
+}
+
+/**
+ * Whether two Polygon/MultiPolygon geometries overlap: a vertex of either lies
+ * inside the other, or any of their edges cross.
+ * @param {Object} a - GeoJSON Polygon or MultiPolygon
+ * @param {Object} b - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean}
+ */
+export function geometriesIntersect(a, b) {
+    const ringsA = getPolygons(a).flat();
+    const ringsB = getPolygons(b).flat();
+    if (!ringsA.length || !ringsB.length) return false;
+    if (!bboxesOverlap(getBbox(ringsA), getBbox(ringsB))) return false;
+
+    if (ringsA.some(ring => ring.some(pt => pointInGeometry(pt, b)))) return true;
+    if (ringsB.some(ring => ring.some(pt => pointInGeometry(pt, a)))) return true;
+
+    return ringsA.some(ringA => ringsB.some(ringB => ringsCross(ringA, ringB)));
+}
+
+/**
+ * Builds a closed ring approximating a geodesic circle
+ * @param {number[]} center - [lng, lat]
+ * @param {number} radiusKm - radius in kilometers
+ * @param {number} steps - number of vertices
+ * @returns {number[][]} closed ring
+ */
+export function circleRing(center, radiusKm, steps = 64) {
+    const [lng, lat] = center;
+    const angular = radiusKm / EARTH_RADIUS_KM;
+    const lat1 = toRadians(lat);
+    const lng1 = toRadians(lng);
+    const ring = [];
+    for (let i = 0; i < steps; i++) {
+        const bearing = (i / steps) * 2 * Math.PI;
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+        const lng2 = lng1 + Math.atan2(
+            Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+            Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        ring.push([toDegrees(lng2), toDegrees(lat2)]);
+    }
+    ring.push(ring[0].slice());
+    return ring;
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {number[]} from - [lng, lat]
+ * @param {number[]} to - [lng, lat]
+ * @returns {number} distance in kilometers
+ */
+export function distanceKm(from, to) {
+    const dLat = toRadians(to[1] - from[1]);
+    const dLng = toRadians(to[0] - from[0]);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from[1])) * Math.cos(toRadians(to[1])) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Bounding box of a Polygon/MultiPolygon geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number[]|null} [minLng, minLat, maxLng, maxLat], or null when empty
+ */
+export function getGeometryBbox(geometry) {
+    const rings = getPolygons(geometry).flat();
+    if (rings.length === 0) return null;
+    return getBbox(rings);
+}
+
+/**
+ * Approximate surface area of a Polygon/MultiPolygon (holes subtracted)
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number} area in square meters
+ */
+export function geometryAreaSqMeters(geometry) {
+    return getPolygons(geometry).reduce((total, rings) => {
+        const [outer, ...holes] = rings;
+        if (!outer) return total;
+        return total + Math.abs(ringArea(outer)) - holes.reduce((sum, hole) => sum + Math.abs(ringArea(hole)), 0);
+    }, 0);
+}
+
+// Spherical ring area (Chamberlain & Duquette); sign depends on winding order
+function ringArea(ring) {
+    const n = ring.length;
+    if (n < 3) return 0;
+    const radius = EARTH_RADIUS_KM * 1000;
+    let area = 0;
+    for (let i = 0; i < n; i++) {
+        const lower = ring[i];
+        const middle = ring[(i + 1) % n];
+        const upper = ring[(i + 2) % n];
+        area += (toRadians(upper[0]) - toRadians(lower[0])) * Math.sin(toRadians(middle[1]));
+    }
+    return (area * radius * radius) / 2;
+}
+
+function getBbox(rings) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    rings.forEach(ring => ring.forEach(([x, y]) => {
+        if (x < bbox[0]) bbox[0] = x;
+        if (y < bbox[1]) bbox[1] = y;
+        if (x > bbox[2]) bbox[2] = x;
+        if (y > bbox[3]) bbox[3] = y;
+    }));
+    return bbox;
+}
+
+function bboxesOverlap(a, b) {
+    return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+
+function ringsCross(ringA, ringB) {
+    for (let i = 1; i < ringA.length; i++) {
+        for (let j = 1; j < ringB.length; j++) {
+            if (segmentsCross(ringA[i - 1], ringA[i], ringB[j - 1], ringB[j])) return true;
+        }
+    }
+    return false;
+}
+
+function segmentsCross(p1, p2, q1, q2) {
+    const d1 = orientation(q1, q2, p1);
+    const d2 = orientation(q1, q2, p2);
+    const d3 = orientation(p1, p2, q1);
+    const d4 = orientation(p1, p2, q2);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0)) && d1 !== 0 && d2 !== 0 && d3 !== 0 && d4 !== 0;
+}
+
+function orientation(a, b, c) {
+    return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+function toRadians(deg) {
+    return (deg * Math.PI) / 180;
+}
+
+function toDegrees(rad) {
+    return (rad * 180) / Math.PI;
+}
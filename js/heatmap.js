@@ -0,0 +1,168 @@
+/**
+ * Heatmap module
+ * Density heatmap of the (filtered) portfolio weighted by square footage or land
+ * size. It uses its own unclustered source so the weights see every property,
+ * and in heatmap mode the clustered layers only appear past a switch zoom.
+ */
+
+const HEATMAP_SOURCE_ID = 'portfolio-heat';
+const HEATMAP_LAYER_ID = 'portfolio-heatmap';
+const MAX_ZOOM = 24;
+
+// Layers of the clustered portfolio that the heatmap replaces below the switch zoom
+const CLUSTERED_LAYER_IDS = [
+    'portfolio-clusters-background',
+    'portfolio-clusters',
+    'portfolio-points-background',
+    'portfolio-points',
+    'portfolio-points-for-sale',
+    'portfolio-service-area-flags'
+];
+
+export const HEATMAP_WEIGHT_FIELDS = ['square_footage', 'land_size'];
+
+export const DEFAULT_HEATMAP_SETTINGS = {
+    weightField: 'square_footage',
+    radius: 30,
+    intensity: 1,
+    switchZoom: 11
+};
+
+// [min, max] of each numeric setting, matching the sliders in the drawer
+const HEATMAP_SETTING_LIMITS = {
+    radius: [5, 60],
+    intensity: [0.2, 3],
+    switchZoom: [8, 16]
+};
+
+/**
+ * Adds (or refreshes) the heatmap source and layer. The layer starts hidden
+ * unless heatmap mode was already turned on for this map.
+ * @param {mapboxgl.Map} map
+ * @param {Object} geojsonData - FeatureCollection of (filtered) portfolio points
+ * @param {Object} allData - full portfolio FeatureCollection, used to scale the weights
+ */
+export function addPortfolioHeatmap(map, geojsonData, allData) {
+    if (!map) return;
+    map.__nghsHeatmapMaxima = computeMaxima(allData || geojsonData);
+
+    const source = map.getSource(HEATMAP_SOURCE_ID);
+    if (source) {
+        source.setData(geojsonData);
+    } else {
+        map.addSource(HEATMAP_SOURCE_ID, { type: 'geojson', data: geojsonData });
+    }
+
+    // Below the cluster circles so the switch-over zoom never overlaps visually
+    if (!map.getLayer(HEATMAP_LAYER_ID)) {
+        const beforeId = map.getLayer('portfolio-clusters-background') ? 'portfolio-clusters-background' : undefined;
+        map.addLayer({
+            id: HEATMAP_LAYER_ID,
+            type: 'heatmap',
+            source: HEATMAP_SOURCE_ID,
+            layout: { visibility: 'none' },
+            paint: {
+                'heatmap-color': [
+                    'interpolate', ['linear'], ['heatmap-density'],
+                    0, 'rgba(33, 102, 172, 0)',
+                    0.2, 'rgb(103, 169, 207)',
+                    0.4, 'rgb(209, 229, 240)',
+                    0.6, 'rgb(253, 219, 199)',
+                    0.8, 'rgb(239, 138, 98)',
+                    1, 'rgb(178, 24, 43)'
+                ],
+                'heatmap-opacity': 0.85
+            }
+        }, beforeId);
+    }
+
+    setPortfolioMapMode(map, map.__nghsMapMode || 'clusters', map.__nghsHeatmapSettings);
+}
+
+/**
+ * Updates the heatmap source to the currently filtered properties
+ * @param {mapboxgl.Map} map
+ * @param {Object} geojsonData - FeatureCollection of filtered portfolio points
+ */
+export function updatePortfolioHeatmapData(map, geojsonData) {
+    const source = map && map.getSource(HEATMAP_SOURCE_ID);
+    if (source && geojsonData) {
+        try {
+            source.setData(geojsonData);
+        } catch (e) {
+            console.error('Failed to update heatmap data:', e);
+        }
+    }
+}
+
+/**
+ * Switches between the clustered view and the heatmap. In heatmap mode the
+ * heatmap shows up to `switchZoom` and the clustered layers take over past it.
+ * The mode and settings are remembered on the map for layers added later.
+ * @param {mapboxgl.Map} map
+ * @param {string} mode - 'clusters' or 'heatmap'
+ * @param {Object} [settings] - { weightField, radius, intensity, switchZoom }
+ */
+export function setPortfolioMapMode(map, mode, settings = {}) {
+    if (!map) return;
+    const heatmapOn = mode === 'heatmap';
+    const s = { ...DEFAULT_HEATMAP_SETTINGS, ...(settings || {}) };
+    map.__nghsMapMode = heatmapOn ? 'heatmap' : 'clusters';
+    map.__nghsHeatmapSettings = s;
+
+    if (map.getLayer(HEATMAP_LAYER_ID)) {
+        map.setLayoutProperty(HEATMAP_LAYER_ID, 'visibility', heatmapOn ? 'visible' : 'none');
+        map.setLayerZoomRange(HEATMAP_LAYER_ID, 0, heatmapOn ? s.switchZoom : MAX_ZOOM);
+        map.setPaintProperty(HEATMAP_LAYER_ID, 'heatmap-weight', weightExpression(map, s.weightField));
+        map.setPaintProperty(HEATMAP_LAYER_ID, 'heatmap-radius', Number(s.radius));
+        map.setPaintProperty(HEATMAP_LAYER_ID, 'heatmap-intensity', Number(s.intensity));
+    }
+
+    CLUSTERED_LAYER_IDS.forEach(layerId => {
+        if (map.getLayer(layerId)) {
+            map.setLayerZoomRange(layerId, heatmapOn ? s.switchZoom : 0, MAX_ZOOM);
+        }
+    });
+}
+
+/**
+ * Completes heatmap settings that come from a link or an imported view:
+ * missing or unknown values fall back to the defaults and numbers are kept
+ * within the slider ranges
+ * @param {Object} [settings] - partial { weightField, radius, intensity, switchZoom }
+ * @returns {Object} complete settings
+ */
+export function normalizeHeatmapSettings(settings) {
+    const source = settings && typeof settings === 'object' ? settings : {};
+    const normalized = {
+        weightField: HEATMAP_WEIGHT_FIELDS.includes(source.weightField) ? source.weightField : DEFAULT_HEATMAP_SETTINGS.weightField
+    };
+    Object.entries(HEATMAP_SETTING_LIMITS).forEach(([key, [min, max]]) => {
+        const value = typeof source[key] === 'number' ? source[key] : NaN;
+        normalized[key] = Number.isFinite(value) ? Math.min(Math.max(value, min), max) : DEFAULT_HEATMAP_SETTINGS[key];
+    });
+    return normalized;
+}
+
+// Linear 0..1 weight against the largest value in the portfolio; blanks weigh nothing
+function weightExpression(map, field) {
+    const weightField = HEATMAP_WEIGHT_FIELDS.includes(field) ? field : DEFAULT_HEATMAP_SETTINGS.weightField;
+    const max = (map.__nghsHeatmapMaxima && map.__nghsHeatmapMaxima[weightField]) || 1;
+    return ['interpolate', ['linear'],
+        ['case', ['==', ['typeof', ['get', weightField]], 'number'], ['get', weightField], 0],
+        0, 0,
+        max, 1
+    ];
+}
+
+function computeMaxima(data) {
+    const maxima = {};
+    const features = data && Array.isArray(data.features) ? data.features : [];
+    HEATMAP_WEIGHT_FIELDS.forEach(field => {
+        maxima[field] = features.reduce((max, f) => {
+            const value = f && f.properties ? f.properties[field] : null;
+            return typeof value === 'number' && Number.isFinite(value) && value > max ? value : max;
+        }, 0);
+    });
+    return maxima;
+}
@@ -0,0 +1,19 @@
+/**
+ * HTML helpers
+ * Shared by every module that builds popup, panel or legend markup from data.
+ */
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {*} value - null and undefined become an empty string
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
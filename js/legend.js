@@ -0,0 +1,312 @@
+/**
+ * Map legend module
+ * Collapsible legend control that builds itself from the layers on the map:
+ * each entry is read from a layer's current paint, filter and visibility, so
+ * the legend follows the service area fill toggle, the marker symbology and
+ * the active filters without keeping its own copy of the styling.
+ */
+
+import { getPropertyTypeCategory } from './filters.js';
+import { PROPERTY_TYPE_STYLES, OWNERSHIP_STYLES } from './symbology.js';
+import { escapeHtml } from './html.js';
+
+const LOGO_PATH = 'assets/nghs_logo.png';
+
+let legendControl = null;
+let legendOptions = {};
+let updateScheduled = false;
+
+/**
+ * Adds the legend control to the map
+ * @param {mapboxgl.Map} map
+ * @param {Object} options
+ * @param {Function} options.getFeatures - () => filtered portfolio features; entries with no visible property are omitted
+ * @param {Function} options.isLongstreetShown - () => whether the Longstreet toggle is on
+ * @param {string} options.position - control position (default 'bottom-right')
+ * @returns {Object} the legend control
+ */
+export function initMapLegend(map, options = {}) {
+    if (legendControl) return legendControl;
+    legendOptions = options || {};
+    legendControl = new LegendControl();
+    map.addControl(legendControl, legendOptions.position || 'bottom-right');
+
+    // Layers are added asynchronously (icons, basemap changes); rebuild when the style settles
+    map.on('styledata', scheduleLegendUpdate);
+    // Layer zoom ranges (parcels, heatmap switch-over) change what is visible
+    map.on('zoomend', scheduleLegendUpdate);
+    updateMapLegend();
+    return legendControl;
+}
+
+/**
+ * Rebuilds the legend from the current layer state (call after paint or filter changes)
+ */
+export function updateMapLegend() {
+    if (legendControl) legendControl.render();
+}
+
+function scheduleLegendUpdate() {
+    if (updateScheduled) return;
+    updateScheduled = true;
+    setTimeout(() => {
+        updateScheduled = false;
+        updateMapLegend();
+    }, 100);
+}
+
+class LegendControl {
+    onAdd(map) {
+        this.map = map;
+        this.container = document.createElement('div');
+        this.container.className = 'mapboxgl-ctrl map-legend';
+        if (window.matchMedia && window.matchMedia('(max-width: 480px)').matches) {
+            this.container.classList.add('is-collapsed');
+        }
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'map-legend-toggle';
+        toggle.textContent = 'Legend';
+        toggle.setAttribute('aria-expanded', String(!this.container.classList.contains('is-collapsed')));
+        toggle.addEventListener('click', () => {
+            const collapsed = this.container.classList.toggle('is-collapsed');
+            toggle.setAttribute('aria-expanded', String(!collapsed));
+        });
+
+        this.body = document.createElement('div');
+        this.body.className = 'map-legend-body';
+
+        this.container.appendChild(toggle);
+        this.container.appendChild(this.body);
+        return this.container;
+    }
+
+    onRemove() {
+        this.container.remove();
+        this.map = undefined;
+    }
+
+    render() {
+        if (!this.map || !this.body) return;
+        const features = typeof legendOptions.getFeatures === 'function' ? (legendOptions.getFeatures() || []) : [];
+        const sections = [
+            heatmapSection(this.map),
+            propertySection(this.map, features),
+            serviceAreaFlagSection(this.map, features),
+            clusterSection(this.map),
+            serviceAreaSection(this.map),
+            parcelSection(this.map),
+            noteSection(features, typeof legendOptions.isLongstreetShown !== 'function' || legendOptions.isLongstreetShown())
+        ].filter(Boolean);
+
+        this.body.innerHTML = sections.length
+            ? sections.join('')
+            : '<div class="map-legend-empty">No layers shown</div>';
+    }
+}
+
+// Unclustered markers: fill color entries, ownership rings and the for-sale ring
+function propertySection(map, features) {
+    const layerId = 'portfolio-points-background';
+    if (!isLayerShown(map, layerId)) return '';
+
+    const fill = map.getPaintProperty(layerId, 'circle-color');
+    const stroke = map.getPaintProperty(layerId, 'circle-stroke-color');
+    const fillMatch = parseMatch(fill);
+    const rows = [];
+
+    if (fillMatch) {
+        const field = isGet(fillMatch.input, 'ownership_type') ? 'ownership_type' : 'building_type';
+        const present = new Set(features.map(f => legendValue(f, field)));
+        const icons = parseMatch(map.getLayoutProperty('portfolio-points', 'icon-image'));
+        fillMatch.pairs
+            .filter(([label]) => present.has(label))
+            .forEach(([label, color]) => {
+                const glyph = icons && field === 'building_type' && PROPERTY_TYPE_STYLES[label] ? PROPERTY_TYPE_STYLES[label].glyph : '';
+                rows.push(row(swatch('circle', { fill: color, stroke: '#333333', glyph }), label));
+            });
+    } else if (typeof fill === 'string') {
+        rows.push(row(swatch('circle', { fill, stroke: '#333333', image: LOGO_PATH }), 'NGHS property'));
+    }
+
+    // Stroke is ['case', forSale, <for-sale color>, <ownership match | color>]
+    const strokeCase = parseCase(stroke);
+    const ringMatch = parseMatch(strokeCase ? strokeCase.fallback : stroke);
+    if (ringMatch && isGet(ringMatch.input, 'ownership_type')) {
+        const present = new Set(features.map(f => legendValue(f, 'ownership_type')));
+        ringMatch.pairs
+            .filter(([label]) => present.has(label))
+            .forEach(([label, color]) => {
+                rows.push(row(swatch('ring', { stroke: color }), `${label} (ring)`));
+            });
+    }
+    if (strokeCase && strokeCase.branches.length && features.some(f => f.properties && f.properties.listed_for_sale === 'Yes')) {
+        rows.push(row(swatch('ring', { stroke: strokeCase.branches[0][1] }), 'Listed for sale'));
+    }
+
+    return section('Properties', rows);
+}
+
+// Rings around properties whose typed service area disagrees with their location
+function serviceAreaFlagSection(map, features) {
+    const layerId = 'portfolio-service-area-flags';
+    if (!isLayerShown(map, layerId)) return '';
+    const ringMatch = parseMatch(map.getPaintProperty(layerId, 'circle-stroke-color'));
+    if (!ringMatch) return '';
+    const labels = { mismatch: 'Service area differs from location', outside: 'Outside every service area' };
+    const present = new Set(features.map(f => legendValue(f, 'service_area_check')));
+    const rows = ringMatch.pairs
+        .filter(([check]) => present.has(check))
+        .map(([check, color]) => row(swatch('ring', { stroke: color }), labels[check] || check));
+    return section('Service Area Check', rows);
+}
+
+// Density ramp read from the heatmap-color stops
+function heatmapSection(map) {
+    const layerId = 'portfolio-heatmap';
+    if (!isLayerShown(map, layerId)) return '';
+    const ramp = map.getPaintProperty(layerId, 'heatmap-color');
+    if (!Array.isArray(ramp) || ramp[0] !== 'interpolate') return '';
+    const stops = [];
+    for (let i = 3; i < ramp.length - 1; i += 2) {
+        stops.push(`${ramp[i + 1]} ${Number(ramp[i]) * 100}%`);
+    }
+    const weight = map.getPaintProperty(layerId, 'heatmap-weight');
+    const weightText = JSON.stringify(weight || '').includes('land_size') ? 'land size' : 'square footage';
+    return (
+        '<div class="map-legend-section">' +
+            `<div class="map-legend-title">Density by ${escapeHtml(weightText)}</div>` +
+            `<div class="map-legend-ramp" style="${escapeHtml(`background: linear-gradient(to right, ${stops.join(', ')})`)}"></div>` +
+            '<div class="map-legend-ramp-labels"><span>Low</span><span>High</span></div>' +
+        '</div>'
+    );
+}
+
+function clusterSection(map) {
+    const layerId = 'portfolio-clusters-background';
+    if (!isLayerShown(map, layerId)) return '';
+    const fill = map.getPaintProperty(layerId, 'circle-color');
+    if (typeof fill !== 'string') return '';
+    const rows = [row(swatch('circle', { fill, stroke: '#222222', glyph: '12' }), 'Number of properties (click to zoom)')];
+    // Donut markers drawn over the clusters split the ring by ownership
+    if (map.__nghsClusterDonutsBound) {
+        Object.entries(OWNERSHIP_STYLES).forEach(([label, style]) => {
+            rows.push(row(swatch('ring', { stroke: style.color }), `${label} share of cluster`));
+        });
+    }
+    return section('Clusters', rows);
+}
+
+// Service area colors, limited to the areas the layer filter lets through
+function serviceAreaSection(map) {
+    const layerId = 'service-areas-fill';
+    if (!isLayerShown(map, layerId)) return '';
+
+    const opacity = map.getPaintProperty(layerId, 'fill-opacity');
+    const outlineId = `${layerId}-outline`;
+    if (opacity === 0) {
+        if (!isLayerShown(map, outlineId)) return '';
+        const lineColor = map.getPaintProperty(outlineId, 'line-color');
+        return section('Service Areas', [row(swatch('outline', { stroke: typeof lineColor === 'string' ? lineColor : '#ffffff' }), 'Service area boundary')]);
+    }
+
+    const fillMatch = parseMatch(map.getPaintProperty(layerId, 'fill-color'));
+    if (!fillMatch) return '';
+    const allowed = parseInFilter(map.getFilter(layerId));
+    const rows = fillMatch.pairs
+        .filter(([label]) => !allowed || allowed.includes(label))
+        .map(([label, color]) => row(swatch('square', { fill: color, opacity }), label));
+    return section('Service Areas', rows);
+}
+
+function parcelSection(map) {
+    const layerId = 'parcels-fill';
+    if (!isLayerShown(map, layerId)) return '';
+    const fill = map.getPaintProperty(layerId, 'fill-color');
+    // Resting opacity of the hover expression
+    const opacityCase = parseCase(map.getPaintProperty(layerId, 'fill-opacity'));
+    const opacity = opacityCase ? opacityCase.fallback : map.getPaintProperty(layerId, 'fill-opacity');
+    const lineColor = isLayerShown(map, 'parcels-outline') ? map.getPaintProperty('parcels-outline', 'line-color') : null;
+    const layer = map.getLayer(layerId);
+    const minZoom = layer && layer.minzoom ? ` (zoom ${layer.minzoom}+)` : '';
+    return section('Parcels', [row(swatch('square', { fill, opacity, stroke: lineColor }), `Owned parcel${minZoom}`)]);
+}
+
+// Longstreet properties share the regular markers, so the legend states whether they are included.
+// The toggle decides the wording; with it on, other filters can still leave none in view.
+function noteSection(features, longstreetShown) {
+    if (!longstreetShown) {
+        return `<div class="map-legend-note">${escapeHtml('Longstreet hidden by toggle')}</div>`;
+    }
+    const longstreet = features.filter(f => f.properties && f.properties.longstreet === 'Yes').length;
+    const text = longstreet > 0
+        ? `Includes ${longstreet} Longstreet ${longstreet === 1 ? 'property' : 'properties'}`
+        : '0 Longstreet properties in view';
+    return `<div class="map-legend-note">${escapeHtml(text)}</div>`;
+}
+
+function section(title, rows) {
+    if (!rows.length) return '';
+    return `<div class="map-legend-section"><div class="map-legend-title">${escapeHtml(title)}</div>${rows.join('')}</div>`;
+}
+
+function row(swatchHtml, label) {
+    return `<div class="map-legend-row">${swatchHtml}<span>${escapeHtml(label)}</span></div>`;
+}
+
+function swatch(shape, style) {
+    const css = [];
+    if (style.fill) css.push(`background-color: ${style.fill}`);
+    if (style.opacity != null && typeof style.opacity === 'number') css.push(`opacity: ${Math.max(style.opacity, 0.35)}`);
+    if (style.stroke) css.push(`border-color: ${style.stroke}`);
+    const inner = style.image
+        ? `<img src="${escapeHtml(style.image)}" alt="">`
+        : (style.glyph ? escapeHtml(style.glyph) : '');
+    return `<span class="map-legend-swatch is-${shape}" style="${escapeHtml(css.join('; '))}">${inner}</span>`;
+}
+
+// Visible and inside the layer's zoom range at the current zoom
+function isLayerShown(map, layerId) {
+    const layer = map.getLayer(layerId);
+    if (!layer) return false;
+    if (map.getLayoutProperty(layerId, 'visibility') === 'none') return false;
+    const zoom = map.getZoom();
+    return zoom >= (layer.minzoom || 0) && zoom < (layer.maxzoom || 24);
+}
+
+function legendValue(feature, field) {
+    const props = feature.properties || {};
+    return field === 'building_type' ? getPropertyTypeCategory(props.building_type) : props[field];
+}
+
+function isGet(expression, field) {
+    return Array.isArray(expression) && expression[0] === 'get' && expression[1] === field;
+}
+
+// ['match', input, label, output, ..., fallback] -> { input, pairs, fallback }
+function parseMatch(expression) {
+    if (!Array.isArray(expression) || expression[0] !== 'match') return null;
+    const pairs = [];
+    for (let i = 2; i < expression.length - 1; i += 2) {
+        pairs.push([expression[i], expression[i + 1]]);
+    }
+    return { input: expression[1], pairs, fallback: expression[expression.length - 1] };
+}
+
+// ['case', cond, output, ..., fallback] -> { branches, fallback }
+function parseCase(expression) {
+    if (!Array.isArray(expression) || expression[0] !== 'case') return null;
+    const branches = [];
+    for (let i = 1; i < expression.length - 1; i += 2) {
+        branches.push([expression[i], expression[i + 1]]);
+    }
+    return { branches, fallback: expression[expression.length - 1] };
+}
+
+// ['in', ['get', field], ['literal', values]] -> values (null when unfiltered)
+function parseInFilter(filter) {
+    if (!Array.isArray(filter) || filter[0] !== 'in') return null;
+    const list = filter[2];
+    return Array.isArray(list) && list[0] === 'literal' && Array.isArray(list[1]) ? list[1] : null;
+}
@@ -3,95 +3,156 @@
  * Coordinates the initialization and interaction of all modules
  */
 
-import { initializeMap, addClusteredPortfolioLayers, updateClusteredPortfolioData, fitMapToBounds, enablePortfolioPopups, sendMapboxLabelsBelowServiceAreas } from './map.js';
+import { initializeMap, getAvailableBasemaps, getDefaultBasemapId, changeBasemap, addClusteredPortfolioLayers, updateClusteredPortfolioData, fitMapToBounds, enablePortfolioPopups, openPortfolioPopup, setPortfolioHighlight, setPortfolioSymbology, setServiceAreaFlags, sendMapboxLabelsBelowServiceAreas } from './map.js';
 import { authenticationManager } from './authentication.js';
-import { loadGeoJSON, loadTextFile, asPointsFromLonLat } from './dataLoader.js';
-import { dataConfig, featureFlags } from './config.js';
+import { loadGeoJSON, loadTextFile, trackLoadProgress, asPointsFromLonLat, assignDerivedServiceAreas, buildDataQualityReport } from './dataLoader.js';
+import { dataConfig, featureFlags, dataQualityConfig } from './config.js';
 import { addServiceAreaLayer, addServiceAreaLabels, addServiceAreaMaskLayer, setServiceAreaFill } from './serviceAreas.js';
 import { initStatsPanel, updateStatsPanel } from './stats.js';
-import { loadFilteredParcels, addParcelsLayers } from './parcels.js';
+import { filterParcelsByIds, addParcelsLayers, enableParcelInteractions, isParcelPopupOpen, updateParcelsFilters, buildParcelPropertyIndex, getVisibleParcelIds, getParcelIdsInGeometry, findParcelById, setSelectedParcel } from './parcels.js';
+import { readViewStateFromUrl, writeViewStateToUrl, sanitizeViewState } from './viewState.js';
+import { buildSearchIndex, initializePropertySearch } from './search.js';
+import { createRangeFilter } from './rangeFilters.js';
+import { initializeDrawTool, shapesToGeometry } from './drawTool.js';
+import { initializeSavedViews } from './savedViews.js';
+import { initPropertyTable, updatePropertyTable, highlightPropertyRow } from './propertyTable.js';
+import { initPropertyDetailPanel, openPropertyDetail, refreshPropertyDetail, isPropertyDetailOpen } from './propertyDetail.js';
+import { initDataQualityPanel } from './dataQuality.js';
+import { exportFeaturesToCsv, exportFeaturesToXlsx, exportLayersToGeoJSON, exportLayersToKml, exportLayersToShapefile } from './exporters.js';
+import { SYMBOLOGY_MODES } from './symbology.js';
+import { initMapLegend, updateMapLegend } from './legend.js';
+import { HEATMAP_WEIGHT_FIELDS, DEFAULT_HEATMAP_SETTINGS, addPortfolioHeatmap, updatePortfolioHeatmapData, setPortfolioMapMode, normalizeHeatmapSettings } from './heatmap.js';
+import { ALL_PROPERTY_TYPES, ALL_SERVICE_AREAS, OWNERSHIP_OPTIONS, FOR_SALE_OPTIONS, SERVICE_AREA_SOURCES, createDefaultFilterSpec, filterFeatures } from './filters.js';
 
 // Store map instance and data globally for filter functions and basemap changes
 let mapInstance = null;
 let portfolioData = null;
 let parcelsData = null;
+// Load-time validation results (see dataLoader.js buildDataQualityReport)
+let dataQualityReport = null;
+// parcel_id -> portfolio properties on that parcel (rebuilt when the portfolio loads)
+let parcelPropertyIndex = new Map();
 let serviceAreasData = null;
 let serviceAreasLabelsData = null;
 let serviceAreasMaskData = null;
+let portfolioSearchIndex = [];
 let selectedOwnership = 'all';
-const ALL_PROPERTY_TYPES = ['Medical Office', 'Hospital', 'Land', 'Office', 'Vacant Building', 'Multi-Family', 'Other'];
 let selectedPropertyTypes = [...ALL_PROPERTY_TYPES];
-const ALL_SERVICE_AREAS = ['Habersham', 'Lumpkin', 'Gainesville', 'Braselton', 'Barrow'];
 let selectedServiceAreas = [...ALL_SERVICE_AREAS];
+let serviceAreaSource = 'attribute'; // 'location' = filter and stats by the polygon each point sits in
+let showServiceAreaFlags = false; // rings around properties whose service_area disagrees with their location
 let showLongstreet = true; // default matches checked switch
+let selectedForSale = 'all'; // 'Yes' = listed for sale only, 'No' = not listed
+// Size ranges { min, max, includeNull }; null = no range filter
+let squareFootageRange = null;
+let landSizeRange = null;
+// Slider controllers so presets and shared links can move the handles
+let squareFootageRangeControl = null;
+let landSizeRangeControl = null;
+// Drawn area shapes (see drawTool.js for the descriptor shape) and the draw controller
+let drawnShapes = [];
+let drawToolControl = null;
+let showServiceAreaFill = true; // default matches checked switch
+let symbologyMode = 'logo'; // default matches the drawer radio group
+let mapMode = 'clusters'; // 'clusters' or 'heatmap'
+let basemapId = getDefaultBasemapId();
+let heatmapSettings = { ...DEFAULT_HEATMAP_SETTINGS };
+let openPropertyName = null; // name of the property whose popup is open
+let lastUpdatedText = ''; // contents of last_updated.txt, used in export file names
+// View state captured from the URL before anything can overwrite it
+let initialViewState = null;
+// URL updates stay off until the initial view has been restored
+let viewStateSyncEnabled = false;
 
 /**
  * Initializes the application
  */
 async function initApp() {
+    // Aggregate download progress of every dataset fetched below, shown on the loading overlay
+    const stopLoadProgress = trackLoadProgress([
+        dataConfig.serviceAreasDataPath,
+        dataConfig.serviceAreasLabelsDataPath,
+        dataConfig.serviceAreasMaskDataPath,
+        dataConfig.portfolioDataPath,
+        dataConfig.parcelsDataPath
+    ], progress => authenticationManager.setLoadingProgress(progress));
     try {
         console.log('[App] Initializing application...');
 
-        // Initialize the map
-        console.log('[App] initializeMap start');
-        const map = await initializeMap('map-container');
-        console.log('[App] initializeMap done');
+        // Capture any shared view (filters, camera, property) from the URL first;
+        // both the login and session-restore paths boot through here
+        initialViewState = readViewStateFromUrl();
+        if (initialViewState) {
+            console.log('[App] view state found in URL:', initialViewState);
+        }
+
+        // The last updated date versions the dataset cache, so always revalidate it
+        console.log(`[App] load last updated ${dataConfig.lastUpdatedPath}`);
+        lastUpdatedText = await loadTextFile(dataConfig.lastUpdatedPath, { cache: 'no-cache' });
+        const lastUpdatedElement = document.getElementById('last-updated');
+        if (lastUpdatedElement && lastUpdatedText) {
+            lastUpdatedElement.textContent = lastUpdatedText;
+            console.log('[App] last updated set');
+        }
+
+        // Initialize the map while every dataset downloads (or comes from the cache) in parallel
+        console.log('[App] initializeMap and dataset loads start');
+        const [map, datasets] = await Promise.all([
+            initializeMap('map-container'),
+            loadDatasets(lastUpdatedText || null)
+        ]);
+        console.log('[App] initializeMap and dataset loads done');
         mapInstance = map; // Store for filter functions
         // Expose for quick testing in devtools (e.g., hide layers on the fly)
         window.mapInstance = mapInstance;
 
-        // Load service area data
-        console.log('[App] load service-areas.geojson');
-        serviceAreasData = await loadGeoJSON('data/service-areas.geojson');
-        console.log('[App] load service-areas-labels.geojson');
-        serviceAreasLabelsData = await loadGeoJSON('data/service-areas-labels.geojson');
-        console.log('[App] load service-areas-mask.geojson');
-        serviceAreasMaskData = await loadGeoJSON('data/service-areas-mask.geojson');
-        
-        // Load the portfolio GeoJSON data and convert to Points from lon/lat
-        console.log(`[App] load portfolio ${dataConfig.portfolioDataPath}`);
-        const rawPortfolio = await loadGeoJSON(dataConfig.portfolioDataPath);
+        serviceAreasData = datasets.serviceAreas;
+        serviceAreasLabelsData = datasets.serviceAreasLabels;
+        serviceAreasMaskData = datasets.serviceAreasMask;
+
+        // Convert the portfolio to Points from lon/lat
+        const rawPortfolio = datasets.portfolio;
         portfolioData = asPointsFromLonLat(rawPortfolio);
         console.log('[App] portfolio as points:', portfolioData.features?.length ?? 0);
+        // Point-in-polygon service areas, compared with the typed service_area
+        assignDerivedServiceAreas(portfolioData, serviceAreasData);
+        portfolioSearchIndex = buildSearchIndex(portfolioData.features);
+
+        parcelPropertyIndex = buildParcelPropertyIndex(portfolioData.features);
 
         // Build allowed parcel_ids from portfolio
         const allowedParcelIds = getUniqueParcelIdsFromPortfolio(portfolioData);
         console.log('[App] allowed parcel ids:', allowedParcelIds.length);
 
-        // Load and filter parcels by allowed parcel_ids
-        parcelsData = await loadFilteredParcels(allowedParcelIds);
+        // Filter parcels by allowed parcel_ids
+        parcelsData = filterParcelsByIds(datasets.parcels, allowedParcelIds);
         console.log('[App] parcels loaded');
 
+        // Validate the raw files (bad coordinates, unknown values, missing parcels, ...),
+        // including parcels that are not joined to the portfolio
+        dataQualityReport = buildDataQualityReport({ portfolio: rawPortfolio, parcels: datasets.parcels, serviceAreas: serviceAreasData });
+        if (dataQualityReport.issues.length) {
+            console.warn(`[App] data quality: ${dataQualityReport.issues.length} issue(s)`, dataQualityReport.issues);
+        }
+
         // Add all layers to the map (service areas, parcels, portfolio)
         console.log('[App] add all layers');
         addAllLayers(map);
 
         // Default Mapbox basemap only; no Esri layer arrangement
 
-        // Fit the map to show all portfolio locations
-        console.log('[App] fitMapToBounds');
-        fitMapToBounds(map, portfolioData);
+        // Fit the map to show all portfolio locations unless a shared view sets the camera
+        if (!initialViewState || !initialViewState.center) {
+            console.log('[App] fitMapToBounds');
+            fitMapToBounds(map, portfolioData);
+        }
 
         // Initialize the stats panel before filters apply
         console.log('[App] initStatsPanel');
         initStatsPanel();
         // Initial stats render with current defaults
         console.log('[App] updateStatsPanel initial');
-        updateStatsPanel(portfolioData, {
-            selectedOwnership,
-            selectedPropertyTypes,
-            selectedServiceAreas,
-            showLongstreet
-        });
-
-        // Load and display the last updated date
-        console.log(`[App] load last updated ${dataConfig.lastUpdatedPath}`);
-        const lastUpdated = await loadTextFile(dataConfig.lastUpdatedPath);
-        const lastUpdatedElement = document.getElementById('last-updated');
-        if (lastUpdatedElement && lastUpdated) {
-            lastUpdatedElement.textContent = lastUpdated;
-            console.log('[App] last updated set');
-        }
+        updateStatsPanel(portfolioData, getFilterSpec());
 
         // Initialize drawer functionality
         console.log('[App] initializeDrawer');
@@ -109,6 +170,18 @@ async function initApp() {
         console.log('[App] initializeServiceAreaFilter');
         initializeServiceAreaFilter();
 
+        // Initialize the service area location toggles (filter by location, flag mismatches)
+        console.log('[App] initializeServiceAreaCheckToggles');
+        initializeServiceAreaCheckToggles();
+
+        // Initialize square footage and land size range sliders
+        console.log('[App] initializeSizeRangeFilters');
+        initializeSizeRangeFilters();
+
+        // Initialize listed-for-sale filter
+        console.log('[App] initializeForSaleFilter');
+        initializeForSaleFilter();
+
         // Initialize Longstreet toggle filter
         console.log('[App] initializeLongstreetToggle');
         initializeLongstreetToggle();
@@ -117,16 +190,94 @@ async function initApp() {
         console.log('[App] initializeServiceAreaFillToggle');
         initializeServiceAreaFillToggle();
 
-        // Basemap selector removed; default basemap remains in config
+        // Initialize the marker symbology ("color by") selector
+        console.log('[App] initializeSymbologyMode');
+        initializeSymbologyMode();
+
+        // Initialize the clusters/heatmap mode and heatmap settings
+        console.log('[App] initializeHeatmapControls');
+        initializeHeatmapControls();
+
+        // Initialize the map legend (built from the layers on the map)
+        console.log('[App] initializeLegend');
+        initMapLegend(map, {
+            getFeatures: () => buildFilteredPortfolioCollection().features,
+            isLongstreetShown: () => showLongstreet
+        });
+
+        // Initialize the sortable property list panel
+        console.log('[App] initializePropertyTable');
+        initializePropertyTable(map);
+        console.log('[App] initializePropertyDetail');
+        initializePropertyDetail(map);
+
+        // Data-quality report for admins only
+        console.log('[App] initializeDataQualityPanel');
+        initializeDataQualityPanel(map);
+
+        // Initialize the draw-to-select tool (drawn area filter)
+        console.log('[App] initializeDrawFilter');
+        initializeDrawFilter(map);
+
+        // Initialize the property search box
+        console.log('[App] initializeSearch');
+        initializeSearch(map);
+
+        // Initialize the copy-link button for sharing the current view
+        console.log('[App] initializeCopyViewLink');
+        initializeCopyViewLink();
+
+        // Initialize the CSV / Excel export buttons
+        console.log('[App] initializeExportButtons');
+        initializeExportButtons();
+
+        // Initialize saved named views (presets) in the drawer
+        console.log('[App] initializeSavedViews');
+        initializeSavedViews({
+            // The open popup is not part of a preset; filters, drawn area and camera are
+            getState: () => ({ ...getCurrentViewState(map), property: null }),
+            applyState: (state) => applyViewState(map, state)
+        });
+
+        // Initialize the basemap picker (re-adds all layers after a style change)
+        console.log('[App] initializeBasemapSelector');
+        initializeBasemapSelector(map);
+
+        // Restore a shared view from the URL, then keep the URL in sync
+        if (initialViewState) {
+            console.log('[App] applyViewState from URL');
+            applyViewState(map, initialViewState);
+        }
+        viewStateSyncEnabled = true;
+        map.on('moveend', syncViewStateToUrl);
+        syncViewStateToUrl();
 
         console.log('[App] Application initialized successfully');
 
     } catch (error) {
         console.error('[App] Failed to initialize application:', error);
-        alert('Failed to load the map. Please check the console for details.');
+        authenticationManager.showLoadingError(`Failed to load the map: ${error && error.message ? error.message : error}`);
+    } finally {
+        stopLoadProgress();
     }
 }
 
+/**
+ * Loads every GeoJSON dataset the app needs at once
+ * @param {string|null} version - data version for the IndexedDB cache (null skips it)
+ * @returns {Promise<Object>} { serviceAreas, serviceAreasLabels, serviceAreasMask, portfolio, parcels }
+ */
+async function loadDatasets(version) {
+    const [serviceAreas, serviceAreasLabels, serviceAreasMask, portfolio, parcels] = await Promise.all([
+        loadGeoJSON(dataConfig.serviceAreasDataPath, { label: 'service areas', version }),
+        loadGeoJSON(dataConfig.serviceAreasLabelsDataPath, { label: 'service area labels', version }),
+        loadGeoJSON(dataConfig.serviceAreasMaskDataPath, { label: 'service area mask', version }),
+        loadGeoJSON(dataConfig.portfolioDataPath, { label: 'portfolio', version }),
+        loadGeoJSON(dataConfig.parcelsDataPath, { label: 'parcels', version })
+    ]);
+    return { serviceAreas, serviceAreasLabels, serviceAreasMask, portfolio, parcels };
+}
+
 /**
  * Adds all layers to the map (service areas and portfolio points)
  * This function is called on initial load and after basemap changes
@@ -151,13 +302,45 @@ function addAllLayers(map) {
     // Add parcels polygons below portfolio points but above service areas
     if (parcelsData) {
         addParcelsLayers(map, parcelsData, 13);
+        // Parcel popups list the joined properties; picking one selects it like a search result
+        enableParcelInteractions(map, {
+            getParcel: (parcelId) => findParcelById(parcelsData, parcelId),
+            getProperties: (parcelId) => getPropertiesOnParcel(parcelId),
+            onSelectProperty(feature) {
+                selectProperty(map, feature);
+            }
+        });
     }
 
     // Add clustered portfolio points on top
     if (portfolioData) {
-        addClusteredPortfolioLayers(map, portfolioData, 'portfolio');
-        // Enable popups for unclustered portfolio points
-        enablePortfolioPopups(map, 'portfolio-points');
+        // Re-sync the source once the layers exist so filters applied meanwhile are not lost
+        addClusteredPortfolioLayers(map, portfolioData, 'portfolio', () => {
+            updateClusteredPortfolioData(map, buildFilteredPortfolioCollection(), 'portfolio');
+            addPortfolioHeatmap(map, buildFilteredPortfolioCollection(), portfolioData);
+            setServiceAreaFlags(map, showServiceAreaFlags);
+            updateMapLegend();
+        });
+        // Enable popups for unclustered portfolio points; track the open one for the URL
+        enablePortfolioPopups(map, 'portfolio-points', {
+            onOpen(feature) {
+                openPropertyName = feature && feature.properties ? (feature.properties.name || null) : null;
+                // An open detail panel follows the clicked property
+                if (isPropertyDetailOpen()) openPropertyDetail(feature);
+                outlinePropertyParcel(map, feature);
+                syncViewStateToUrl();
+            },
+            onDetails(feature) {
+                openPropertyDetail(feature);
+            },
+            onClose() {
+                openPropertyName = null;
+                setPortfolioHighlight(map, null);
+                // A parcel clicked while the popup was open keeps its outline
+                if (!isParcelPopupOpen()) setSelectedParcel(map, null);
+                syncViewStateToUrl();
+            }
+        });
     }
     
     // Ensure Mapbox label layers render below service area and mask polygons
@@ -185,6 +368,24 @@ function getUniqueParcelIdsFromPortfolio(portfolio) {
     return Array.from(ids);
 }
 
+/**
+ * Returns the current drawer selections as a filter spec for the filter engine
+ * @returns {Object} spec (see filters.js createDefaultFilterSpec)
+ */
+function getFilterSpec() {
+    return {
+        selectedOwnership,
+        selectedPropertyTypes,
+        selectedServiceAreas,
+        serviceAreaSource,
+        showLongstreet,
+        selectedForSale,
+        squareFootageRange,
+        landSizeRange,
+        spatialFilter: shapesToGeometry(drawnShapes)
+    };
+}
+
 /**
  * Filters the portfolio FeatureCollection according to current UI selections.
  * Returns a new FeatureCollection used to update the clustered source so
@@ -194,98 +395,7 @@ function buildFilteredPortfolioCollection() {
     if (!portfolioData || !Array.isArray(portfolioData.features)) {
         return { type: 'FeatureCollection', features: [] };
     }
-
-    const explicitCategories = ['Hospital', 'Land', 'Office', 'Vacant Building', 'Multi-Family'];
-    const showAllServiceAreas = selectedServiceAreas.length === ALL_SERVICE_AREAS.length;
-
-    const filtered = portfolioData.features.filter((feature) => {
-        const p = feature && feature.properties ? feature.properties : {};
-
-        // Ownership filter
-        if (selectedOwnership && selectedOwnership !== 'all') {
-            if (p.ownership_type !== selectedOwnership) return false;
-        }
-
-        // Property type filter — empty = show nothing, full set = show all
-        if (selectedPropertyTypes.length === 0) return false;
-        if (selectedPropertyTypes.length < ALL_PROPERTY_TYPES.length) {
-            const bt = String(p.building_type || '');
-            const matches = selectedPropertyTypes.some(type => {
-                if (type === 'Medical Office') return bt.slice(0, 14) === 'Medical Office';
-                if (type === 'Other') return !explicitCategories.includes(bt) && bt.slice(0, 14) !== 'Medical Office';
-                return bt === type;
-            });
-            if (!matches) return false;
-        }
-
-        // Service area filter (points)
-        if (!showAllServiceAreas) {
-            if (!selectedServiceAreas.includes(p.service_area)) return false;
-        }
-
-        // Longstreet toggle
-        if (showLongstreet === false) {
-            if (p.longstreet === 'Yes') return false;
-        }
-
-        return true;
-    });
-
-    return { type: 'FeatureCollection', features: filtered };
-}
-
-/**
- * Builds the combined Mapbox GL filter expression for portfolio layers
- * based on current ownership and property type selections
- */
-function buildPortfolioFilterExpression() {
-    // Ownership condition
-    let ownershipCondition = null;
-    if (selectedOwnership && selectedOwnership !== 'all') {
-        ownershipCondition = ['==', ['get', 'ownership_type'], selectedOwnership];
-    }
-
-    // Property type condition — empty = show nothing, full set = no condition
-    let propertyCondition = null;
-    if (selectedPropertyTypes.length === 0) {
-        propertyCondition = ['boolean', false];
-    } else if (selectedPropertyTypes.length < ALL_PROPERTY_TYPES.length) {
-        const explicitCats = ['Hospital', 'Land', 'Office', 'Vacant Building', 'Multi-Family'];
-        const typeConditions = selectedPropertyTypes.map(type => {
-            if (type === 'Medical Office') {
-                return ['match', ['slice', ['get', 'building_type'], 0, 14], ['Medical Office'], true, false];
-            } else if (type === 'Other') {
-                return ['all',
-                    ['!', ['in', ['get', 'building_type'], ['literal', explicitCats]]],
-                    ['!=', ['slice', ['get', 'building_type'], 0, 14], 'Medical Office']
-                ];
-            } else {
-                return ['==', ['get', 'building_type'], type];
-            }
-        });
-        propertyCondition = typeConditions.length === 1 ? typeConditions[0] : ['any', ...typeConditions];
-    }
-
-    // Service area condition — empty = show nothing, full set = no condition
-    let serviceAreaCondition = null;
-    if (selectedServiceAreas.length === 0) {
-        serviceAreaCondition = ['boolean', false];
-    } else if (selectedServiceAreas.length < ALL_SERVICE_AREAS.length) {
-        serviceAreaCondition = ['in', ['get', 'service_area'], ['literal', selectedServiceAreas]];
-    }
-
-    // Longstreet condition: when toggle is OFF, exclude longstreet === 'Yes'
-    let longstreetCondition = null;
-    if (showLongstreet === false) {
-        longstreetCondition = ['!=', ['get', 'longstreet'], 'Yes'];
-    }
-
-    // Combine conditions
-    const conditions = [ownershipCondition, propertyCondition, serviceAreaCondition, longstreetCondition].filter(Boolean);
-    if (conditions.length > 1) {
-        return ['all', ...conditions];
-    }
-    return conditions[0] || null;
+    return { type: 'FeatureCollection', features: filterFeatures(portfolioData.features, getFilterSpec()) };
 }
 
 /**
@@ -296,6 +406,10 @@ function applyCombinedFilters(map) {
     // Update clustered portfolio source data so cluster counts reflect filters
     const filteredCollection = buildFilteredPortfolioCollection();
     updateClusteredPortfolioData(map, filteredCollection, 'portfolio');
+    updatePortfolioHeatmapData(map, filteredCollection);
+    // The property list shows exactly what the clustered source shows
+    updatePropertyTable(filteredCollection.features);
+    refreshPropertyDetail();
 
     // Apply service area filters to polygon and label layers
     const polygonsLayerId = 'service-areas-fill';
@@ -321,25 +435,222 @@ function applyCombinedFilters(map) {
         map.setFilter(labelsLayerId, labelsFilter);
     }
 
-    // Hide parcel polygons entirely when viewing Leased-only properties
-    const parcelVisibility = (selectedOwnership === 'Leased') ? 'none' : 'visible';
-    ['parcels-fill', 'parcels-outline'].forEach(layerId => {
-        if (map.getLayer(layerId)) {
-            map.setLayoutProperty(layerId, 'visibility', parcelVisibility);
-        }
-    });
+    // Parcels follow the points: show those with a visible Owned property
+    // (none when viewing Leased only), limited to the drawn area if any
+    let parcelIds = getVisibleParcelIds(parcelPropertyIndex, filteredCollection.features);
+    const spatialFilter = shapesToGeometry(drawnShapes);
+    if (spatialFilter) {
+        const inArea = new Set(getParcelIdsInGeometry(parcelsData, spatialFilter));
+        parcelIds = parcelIds.filter(id => inArea.has(id));
+    }
+    updateParcelsFilters(map, parcelIds);
 
     // Update stats based on current selections
     if (portfolioData) {
-        updateStatsPanel(portfolioData, {
-            selectedOwnership,
-            selectedPropertyTypes,
-            selectedServiceAreas,
-            showLongstreet
+        updateStatsPanel(portfolioData, getFilterSpec());
+    }
+
+    updateMapLegend();
+    syncViewStateToUrl();
+}
+
+/**
+ * Collects the current filters, service area fill, symbology, map mode, basemap, camera and open property
+ * @param {mapboxgl.Map} map
+ * @returns {Object} view state
+ */
+function getCurrentViewState(map) {
+    const center = map ? map.getCenter() : null;
+    return {
+        selectedOwnership,
+        selectedPropertyTypes: [...selectedPropertyTypes],
+        selectedServiceAreas: [...selectedServiceAreas],
+        serviceAreaSource,
+        showLongstreet,
+        selectedForSale,
+        squareFootageRange: squareFootageRange ? { ...squareFootageRange } : null,
+        landSizeRange: landSizeRange ? { ...landSizeRange } : null,
+        drawnShapes: drawnShapes.map(shape => ({ ...shape })),
+        showServiceAreaFill,
+        symbologyMode,
+        mapMode,
+        heatmapSettings: { ...heatmapSettings },
+        basemap: basemapId,
+        center: center ? [center.lng, center.lat] : null,
+        zoom: map ? map.getZoom() : null,
+        property: openPropertyName
+    };
+}
+
+/**
+ * Writes the current view state into the URL so it can be shared
+ */
+function syncViewStateToUrl() {
+    if (!viewStateSyncEnabled || !mapInstance) return;
+    writeViewStateToUrl(getCurrentViewState(mapInstance), {
+        propertyTypes: ALL_PROPERTY_TYPES,
+        serviceAreas: ALL_SERVICE_AREAS,
+        heatmapSettings: DEFAULT_HEATMAP_SETTINGS,
+        basemap: getDefaultBasemapId()
+    });
+}
+
+/**
+ * Applies a (possibly partial) view state: filters, drawn area, service area
+ * fill, symbology, map mode, basemap, camera and open property. Drawer controls are updated to match the new selections.
+ * @param {mapboxgl.Map} map
+ * @param {Object} viewState - see getCurrentViewState for the shape
+ */
+function applyViewState(map, viewState) {
+    if (!map || !viewState || typeof viewState !== 'object') return;
+    // Saved views can come from an imported file, so check them like URL input
+    const state = sanitizeViewState(viewState);
+
+    if (state.selectedOwnership !== undefined) {
+        selectedOwnership = OWNERSHIP_OPTIONS.includes(state.selectedOwnership) ? state.selectedOwnership : 'all';
+    }
+    if (Array.isArray(state.selectedPropertyTypes)) {
+        selectedPropertyTypes = ALL_PROPERTY_TYPES.filter(type => state.selectedPropertyTypes.includes(type));
+    }
+    if (Array.isArray(state.selectedServiceAreas)) {
+        selectedServiceAreas = ALL_SERVICE_AREAS.filter(area => state.selectedServiceAreas.includes(area));
+    }
+    if (state.serviceAreaSource !== undefined) {
+        serviceAreaSource = SERVICE_AREA_SOURCES.includes(state.serviceAreaSource) ? state.serviceAreaSource : 'attribute';
+    }
+    if (typeof state.showLongstreet === 'boolean') {
+        showLongstreet = state.showLongstreet;
+    }
+    if (state.selectedForSale !== undefined) {
+        selectedForSale = FOR_SALE_OPTIONS.includes(state.selectedForSale) ? state.selectedForSale : 'all';
+    }
+    if (state.squareFootageRange !== undefined) {
+        squareFootageRange = state.squareFootageRange ? { ...state.squareFootageRange } : null;
+    }
+    if (state.landSizeRange !== undefined) {
+        landSizeRange = state.landSizeRange ? { ...state.landSizeRange } : null;
+    }
+    if (Array.isArray(state.drawnShapes)) {
+        drawnShapes = state.drawnShapes.map(shape => ({ ...shape }));
+        if (drawToolControl) drawToolControl.setShapes(drawnShapes);
+    }
+    if (typeof state.showServiceAreaFill === 'boolean') {
+        showServiceAreaFill = state.showServiceAreaFill;
+    }
+    if (state.symbologyMode !== undefined) {
+        symbologyMode = SYMBOLOGY_MODES.includes(state.symbologyMode) ? state.symbologyMode : 'logo';
+    }
+    if (state.mapMode !== undefined) {
+        mapMode = state.mapMode === 'heatmap' ? 'heatmap' : 'clusters';
+    }
+    if (state.heatmapSettings !== undefined) {
+        heatmapSettings = normalizeHeatmapSettings(state.heatmapSettings);
+    }
+
+    if (state.basemap !== undefined && state.basemap !== basemapId &&
+        getAvailableBasemaps().some(b => b.id === state.basemap)) {
+        switchBasemap(map, state.basemap);
+    }
+
+    syncDrawerControls();
+    setServiceAreaFill(map, showServiceAreaFill);
+    setPortfolioSymbology(map, symbologyMode);
+    applyPortfolioMapMode(map);
+    applyCombinedFilters(map);
+
+    if (Array.isArray(state.center) && Number.isFinite(state.zoom)) {
+        map.jumpTo({ center: state.center, zoom: state.zoom });
+    }
+
+    if (state.property) {
+        openPropertyByName(map, state.property);
+    }
+}
+
+/**
+ * Updates the Web Awesome drawer controls to reflect the current selections
+ */
+function syncDrawerControls() {
+    const ownershipFilter = document.getElementById('ownership-filter');
+    if (ownershipFilter) {
+        ownershipFilter.value = selectedOwnership;
+    }
+
+    const setSelectValues = (selectEl, values) => {
+        if (!selectEl) return;
+        Array.from(selectEl.querySelectorAll('wa-option')).forEach(opt => {
+            opt.selected = values.includes(opt.value);
         });
+        selectEl.value = [...values];
+    };
+    setSelectValues(document.getElementById('property-type-filter'), selectedPropertyTypes);
+    setSelectValues(document.getElementById('service-area-filter'), selectedServiceAreas);
+
+    const serviceAreaSourceToggle = document.getElementById('service-area-by-location');
+    if (serviceAreaSourceToggle) {
+        serviceAreaSourceToggle.checked = serviceAreaSource === 'location';
+    }
+
+    const forSaleFilter = document.getElementById('for-sale-filter');
+    if (forSaleFilter) {
+        forSaleFilter.value = selectedForSale;
+    }
+
+    if (squareFootageRangeControl) {
+        squareFootageRangeControl.setRange(squareFootageRange);
+    }
+    if (landSizeRangeControl) {
+        landSizeRangeControl.setRange(landSizeRange);
+    }
+
+    const longstreetToggle = document.getElementById('longstreet-toggle');
+    if (longstreetToggle) {
+        longstreetToggle.checked = showLongstreet;
+    }
+    const fillToggle = document.getElementById('serviceArea-fill');
+    if (fillToggle) {
+        fillToggle.checked = showServiceAreaFill;
+    }
+    const symbologySelect = document.getElementById('symbology-mode');
+    if (symbologySelect) {
+        symbologySelect.value = symbologyMode;
+    }
+
+    const mapModeSelect = document.getElementById('map-mode');
+    if (mapModeSelect) {
+        mapModeSelect.value = mapMode;
+    }
+    const heatmapControls = {
+        weightField: document.getElementById('heatmap-weight'),
+        radius: document.getElementById('heatmap-radius'),
+        intensity: document.getElementById('heatmap-intensity'),
+        switchZoom: document.getElementById('heatmap-switch-zoom')
+    };
+    Object.entries(heatmapControls).forEach(([key, control]) => {
+        if (control) control.value = heatmapSettings[key];
+    });
+
+    const basemapSelect = document.getElementById('basemap-selector');
+    if (basemapSelect) {
+        basemapSelect.value = basemapId;
     }
 }
 
+/**
+ * Opens the popup for a property by name when it passes the current filters
+ * @param {mapboxgl.Map} map
+ * @param {string} name - portfolio feature `name`
+ */
+function openPropertyByName(map, name) {
+    const visible = buildFilteredPortfolioCollection().features;
+    const feature = visible.find(f => f && f.properties && f.properties.name === name);
+    if (!feature) {
+        console.warn(`[App] property '${name}' from URL is not in the current view`);
+        return;
+    }
+    openPortfolioPopup(map, feature);
+}
+
 /**
  * Initializes the ownership type filter
  */
@@ -392,7 +703,54 @@ function initializePropertyTypeFilter() {
     }
 }
 
-// Basemap selector removed
+/**
+ * Initializes the basemap picker with the basemaps of the configured provider
+ * @param {mapboxgl.Map} map
+ */
+function initializeBasemapSelector(map) {
+    const basemapSelect = document.getElementById('basemap-selector');
+    if (!basemapSelect) return;
+    basemapSelect.replaceChildren(...getAvailableBasemaps().map(b => {
+        const radio = document.createElement('wa-radio');
+        radio.setAttribute('appearance', 'button');
+        radio.value = b.id;
+        radio.textContent = b.label || b.id;
+        return radio;
+    }));
+    basemapSelect.value = basemapId;
+
+    const eventTypes = ['wa-change', 'change', 'input', 'sl-change'];
+    eventTypes.forEach(eventType => {
+        basemapSelect.addEventListener(eventType, () => {
+            if (basemapSelect.value === basemapId) return;
+            switchBasemap(map, basemapSelect.value);
+            syncViewStateToUrl();
+        });
+    });
+
+    console.log('Basemap selector initialized');
+}
+
+/**
+ * Swaps the basemap style, then re-adds the service area, parcel and portfolio
+ * layers and reapplies the fill, filters and label order to the new style
+ * @param {mapboxgl.Map} map
+ * @param {string} id - id from getAvailableBasemaps()
+ */
+function switchBasemap(map, id) {
+    const basemap = getAvailableBasemaps().find(b => b.id === id);
+    if (!basemap) {
+        console.warn(`[App] unknown basemap '${id}'`);
+        return;
+    }
+    basemapId = basemap.id;
+    changeBasemap(map, basemap, () => {
+        addAllLayers(map);
+        setServiceAreaFill(map, showServiceAreaFill);
+        applyCombinedFilters(map);
+        console.log(`[App] basemap switched to '${basemap.id}'`);
+    });
+}
 
 /**
  * Initializes the service area multi-select filter
@@ -427,6 +785,95 @@ function initializeServiceAreaFilter() {
     }
 }
 
+/**
+ * Initializes the service area consistency toggles: filtering and stats by the
+ * polygon each property sits in instead of its typed service_area, and rings
+ * around properties where the two disagree
+ */
+function initializeServiceAreaCheckToggles() {
+    const eventTypes = ['wa-change', 'change', 'input', 'sl-change'];
+
+    const sourceToggle = document.getElementById('service-area-by-location');
+    if (sourceToggle && mapInstance) {
+        sourceToggle.checked = serviceAreaSource === 'location';
+        eventTypes.forEach(eventType => {
+            sourceToggle.addEventListener(eventType, () => {
+                const next = sourceToggle.checked ? 'location' : 'attribute';
+                if (next === serviceAreaSource) return;
+                serviceAreaSource = next;
+                applyCombinedFilters(mapInstance);
+            });
+        });
+    }
+
+    const flagsToggle = document.getElementById('service-area-flags');
+    if (flagsToggle && mapInstance) {
+        showServiceAreaFlags = Boolean(flagsToggle.checked);
+        eventTypes.forEach(eventType => {
+            flagsToggle.addEventListener(eventType, () => {
+                showServiceAreaFlags = Boolean(flagsToggle.checked);
+                setServiceAreaFlags(mapInstance, showServiceAreaFlags);
+                updateMapLegend();
+            });
+        });
+    }
+
+    console.log('Service area check toggles initialized');
+}
+
+/**
+ * Initializes the square footage and land size range sliders.
+ * Many leased rows have no land_size, so each slider has its own blank include/exclude switch.
+ */
+function initializeSizeRangeFilters() {
+    if (!mapInstance || !portfolioData) return;
+    const valuesOf = (key) => portfolioData.features
+        .map(f => f && f.properties ? f.properties[key] : null)
+        .filter(v => typeof v === 'number' && Number.isFinite(v));
+
+    squareFootageRangeControl = createRangeFilter('square-footage-range', {
+        values: valuesOf('square_footage'),
+        unit: 'SF',
+        nullLabel: 'Include properties with no square footage',
+        onChange(range) {
+            squareFootageRange = range;
+            applyCombinedFilters(mapInstance);
+        }
+    });
+
+    landSizeRangeControl = createRangeFilter('land-size-range', {
+        values: valuesOf('land_size'),
+        unit: 'acres',
+        nullLabel: 'Include properties with no land size',
+        onChange(range) {
+            landSizeRange = range;
+            applyCombinedFilters(mapInstance);
+        }
+    });
+
+    console.log('Size range filters initialized');
+}
+
+/**
+ * Initializes the listed-for-sale filter
+ */
+function initializeForSaleFilter() {
+    const forSaleFilter = document.getElementById('for-sale-filter');
+
+    if (forSaleFilter && mapInstance) {
+        const eventTypes = ['wa-change', 'change', 'wa-select', 'input', 'sl-change'];
+        eventTypes.forEach(eventType => {
+            forSaleFilter.addEventListener(eventType, (event) => {
+                const value = event.target.value;
+                selectedForSale = FOR_SALE_OPTIONS.includes(value) ? value : 'all';
+                applyCombinedFilters(mapInstance);
+            });
+        });
+
+        console.log('For sale filter initialized');
+    }
+}
+
 /**
  * Initializes the Longstreet toggle filter
  */
@@ -457,12 +904,16 @@ function initializeServiceAreaFillToggle() {
     const fillToggle = document.getElementById('serviceArea-fill');
     if (fillToggle && mapInstance) {
         // Sync initial state from the checked markup default
-        setServiceAreaFill(mapInstance, Boolean(fillToggle.checked));
+        showServiceAreaFill = Boolean(fillToggle.checked);
+        setServiceAreaFill(mapInstance, showServiceAreaFill);
 
         const eventTypes = ['wa-change', 'change', 'input', 'sl-change'];
         eventTypes.forEach(eventType => {
             fillToggle.addEventListener(eventType, () => {
-                setServiceAreaFill(mapInstance, Boolean(fillToggle.checked));
+                showServiceAreaFill = Boolean(fillToggle.checked);
+                setServiceAreaFill(mapInstance, showServiceAreaFill);
+                updateMapLegend();
+                syncViewStateToUrl();
             });
         });
 
@@ -470,6 +921,343 @@ function initializeServiceAreaFillToggle() {
     }
 }
 
+/**
+ * Initializes the marker symbology selector (NGHS logo, or colored by property type or ownership)
+ */
+function initializeSymbologyMode() {
+    const symbologySelect = document.getElementById('symbology-mode');
+    if (symbologySelect && mapInstance) {
+        const eventTypes = ['wa-change', 'change', 'input', 'sl-change'];
+        eventTypes.forEach(eventType => {
+            symbologySelect.addEventListener(eventType, () => {
+                const mode = symbologySelect.value;
+                if (!SYMBOLOGY_MODES.includes(mode) || mode === symbologyMode) return;
+                symbologyMode = mode;
+                setPortfolioSymbology(mapInstance, symbologyMode);
+                updateMapLegend();
+                syncViewStateToUrl();
+            });
+        });
+
+        console.log('Symbology selector initialized');
+    }
+}
+
+/**
+ * Initializes the map mode switch (clusters or square footage / land size heatmap)
+ * and the heatmap weight, radius, intensity and switch-to-clusters zoom controls
+ */
+function initializeHeatmapControls() {
+    const modeSelect = document.getElementById('map-mode');
+    if (!modeSelect || !mapInstance) return;
+
+    const controls = {
+        weightField: document.getElementById('heatmap-weight'),
+        radius: document.getElementById('heatmap-radius'),
+        intensity: document.getElementById('heatmap-intensity'),
+        switchZoom: document.getElementById('heatmap-switch-zoom')
+    };
+
+    const eventTypes = ['wa-change', 'change', 'input', 'sl-change'];
+    eventTypes.forEach(eventType => {
+        modeSelect.addEventListener(eventType, () => {
+            const mode = modeSelect.value === 'heatmap' ? 'heatmap' : 'clusters';
+            if (mode === mapMode) return;
+            mapMode = mode;
+            applyPortfolioMapMode(mapInstance);
+            syncViewStateToUrl();
+        });
+    });
+
+    Object.entries(controls).forEach(([key, control]) => {
+        if (!control) return;
+        eventTypes.forEach(eventType => {
+            control.addEventListener(eventType, () => {
+                if (key === 'weightField') {
+                    if (!HEATMAP_WEIGHT_FIELDS.includes(control.value)) return;
+                    heatmapSettings.weightField = control.value;
+                } else {
+                    const value = Number(control.value);
+                    if (!Number.isFinite(value)) return;
+                    heatmapSettings[key] = value;
+                }
+                if (mapMode === 'heatmap') applyPortfolioMapMode(mapInstance);
+                syncViewStateToUrl();
+            });
+        });
+    });
+
+    applyPortfolioMapMode(mapInstance);
+    console.log('Heatmap controls initialized');
+}
+
+/**
+ * Applies the map mode and heatmap settings to the map and shows the heatmap
+ * options only in heatmap mode
+ * @param {mapboxgl.Map} map
+ */
+function applyPortfolioMapMode(map) {
+    const optionsEl = document.getElementById('heatmap-options');
+    if (optionsEl) optionsEl.hidden = mapMode !== 'heatmap';
+    setPortfolioMapMode(map, mapMode, heatmapSettings);
+    updateMapLegend();
+}
+
+/**
+ * Initializes the local property search in the geocoder container
+ * @param {mapboxgl.Map} map
+ */
+function initializeSearch(map) {
+    initializePropertySearch(map, {
+        getIndex: () => portfolioSearchIndex,
+        isVisible: isPortfolioFeatureVisible,
+        onSelect(feature) {
+            selectProperty(map, feature);
+        }
+    });
+}
+
+/**
+ * Focuses a property, offering to clear the filters first when they hide it
+ * @param {mapboxgl.Map} map
+ * @param {Object} feature - portfolio Point feature
+ * @returns {boolean} false when the user kept the filters and nothing was focused
+ */
+function selectProperty(map, feature) {
+    if (!isPortfolioFeatureVisible(feature)) {
+        const name = feature.properties ? feature.properties.name : 'This property';
+        const clear = window.confirm(`${name} is hidden by the current filters. Clear all filters to show it?`);
+        if (!clear) return false;
+        applyViewState(map, { ...createDefaultFilterSpec(), drawnShapes: [] });
+    }
+    focusProperty(map, feature);
+    return true;
+}
+
+/**
+ * Outlines the parcel of a property (or clears the outline when it has none)
+ * @param {mapboxgl.Map} map
+ * @param {Object} feature - portfolio feature
+ */
+function outlinePropertyParcel(map, feature) {
+    const parcelId = feature && feature.properties ? feature.properties.parcel_id : null;
+    setSelectedParcel(map, findParcelById(parcelsData, parcelId));
+}
+
+/**
+ * Portfolio properties joined to a parcel, regardless of the current filters
+ * @param {string} parcelId
+ * @returns {Object[]} portfolio features
+ */
+function getPropertiesOnParcel(parcelId) {
+    return parcelPropertyIndex.get(String(parcelId)) || [];
+}
+
+/**
+ * Whether a portfolio feature passes the current filters
+ * @param {Object} feature
+ * @returns {boolean}
+ */
+function isPortfolioFeatureVisible(feature) {
+    const name = feature && feature.properties ? feature.properties.name : null;
+    return buildFilteredPortfolioCollection().features.some(f => f.properties && f.properties.name === name);
+}
+
+/**
+ * Flies to a property (past the cluster zoom so it is drawn on its own) and opens its popup
+ * @param {mapboxgl.Map} map
+ * @param {Object} feature - portfolio Point feature
+ */
+function focusProperty(map, feature) {
+    if (!map || !feature || !feature.geometry) return;
+    map.flyTo({
+        center: feature.geometry.coordinates,
+        zoom: Math.max(map.getZoom(), 15)
+    });
+    openPortfolioPopup(map, feature);
+}
+
+/**
+ * Initializes the property list panel: row click flies to the property and
+ * rings it on the map; hovering a marker highlights its row
+ * @param {mapboxgl.Map} map
+ */
+function initializePropertyTable(map) {
+    initPropertyTable(map, {
+        onSelect(feature) {
+            focusProperty(map, feature);
+            // After focusProperty: replacing the popup fires onClose, which clears the ring
+            setPortfolioHighlight(map, feature);
+        }
+    });
+    updatePropertyTable(buildFilteredPortfolioCollection().features);
+
+    ['portfolio-points', 'portfolio-points-background'].forEach(layerId => {
+        map.on('mousemove', layerId, (e) => {
+            const feature = e.features && e.features[0];
+            highlightPropertyRow(feature && feature.properties ? feature.properties.name : null);
+        });
+        map.on('mouseleave', layerId, () => highlightPropertyRow(null));
+    });
+
+    console.log('Property table initialized');
+}
+
+/**
+ * Shows the data-quality panel when the signed-in user is listed as an admin;
+ * clicking a portfolio record selects that property
+ * @param {mapboxgl.Map} map
+ */
+function initializeDataQualityPanel(map) {
+    const username = sessionStorage.getItem('username') || '';
+    if (!dataQualityReport || !dataQualityConfig.adminUsernames.includes(username)) return;
+
+    initDataQualityPanel(dataQualityReport, {
+        onSelectRecord(issue) {
+            const feature = portfolioData && portfolioData.features
+                ? portfolioData.features.find(f => f.properties && f.properties.name === issue.record)
+                : null;
+            if (feature) selectProperty(map, feature);
+        }
+    });
+
+    console.log('Data quality panel initialized');
+}
+
+/**
+ * Initializes the property detail panel opened from the popup teaser: prev/next
+ * and grouping links fly to the property, the parcel link outlines its parcel
+ * @param {mapboxgl.Map} map
+ */
+function initializePropertyDetail(map) {
+    initPropertyDetailPanel({
+        getFeatures: () => buildFilteredPortfolioCollection().features,
+        getAllFeatures: () => (portfolioData && Array.isArray(portfolioData.features) ? portfolioData.features : []),
+        hasParcel: (feature) => Boolean(findParcelById(parcelsData, feature.properties ? feature.properties.parcel_id : null)),
+        onNavigate(feature) {
+            if (selectProperty(map, feature)) openPropertyDetail(feature);
+        },
+        onShowParcel(feature) {
+            const parcel = findParcelById(parcelsData, feature.properties ? feature.properties.parcel_id : null);
+            if (parcel) setSelectedParcel(map, parcel, { zoomTo: true });
+        },
+        onShow(feature) {
+            // The outline follows the shown property; closing the panel leaves the open popup's parcel
+            if (feature) {
+                outlinePropertyParcel(map, feature);
+            } else if (!openPropertyName) {
+                setSelectedParcel(map, null);
+            }
+        }
+    });
+
+    console.log('Property detail panel initialized');
+}
+
+/**
+ * Initializes the drawing tools; drawn polygons, rectangles and circles act as
+ * an extra spatial filter on the portfolio, parcels and stats
+ * @param {mapboxgl.Map} map
+ */
+function initializeDrawFilter(map) {
+    drawToolControl = initializeDrawTool(map, {
+        onChange(shapes) {
+            drawnShapes = shapes;
+            applyCombinedFilters(map);
+        }
+    });
+    if (drawToolControl) {
+        console.log('Draw filter initialized');
+    }
+}
+
+/**
+ * Initializes the button that copies a link to the current view
+ */
+function initializeCopyViewLink() {
+    const copyButton = document.getElementById('copy-view-link');
+    if (!copyButton) return;
+
+    copyButton.addEventListener('click', async () => {
+        // Make sure the URL reflects the latest camera before copying
+        syncViewStateToUrl();
+        const url = window.location.href;
+        try {
+            await navigator.clipboard.writeText(url);
+            copyButton.textContent = 'Link Copied!';
+        } catch (e) {
+            // Clipboard may be blocked (e.g., non-secure context); let the user copy manually
+            console.warn('Clipboard write failed:', e);
+            window.prompt('Copy this link:', url);
+            return;
+        }
+        setTimeout(() => {
+            copyButton.innerHTML = '<wa-icon slot="start" name="link"></wa-icon> Copy Link to This View';
+        }, 1500);
+    });
+
+    console.log('Copy view link initialized');
+}
+
+/**
+ * Initializes the drawer buttons that export the filtered properties
+ * (spreadsheets) and the filtered properties with their parcels (spatial files)
+ */
+function initializeExportButtons() {
+    const spreadsheetExporters = {
+        'export-csv': exportFeaturesToCsv,
+        'export-xlsx': exportFeaturesToXlsx
+    };
+    const spatialExporters = {
+        'export-geojson': exportLayersToGeoJSON,
+        'export-kml': exportLayersToKml,
+        'export-shapefile': exportLayersToShapefile
+    };
+    const includeServiceAreasToggle = document.getElementById('export-include-service-areas');
+
+    const bind = (buttonId, buildInput, exportFn) => {
+        const button = document.getElementById(buttonId);
+        if (!button) return;
+        button.addEventListener('click', async () => {
+            try {
+                await exportFn(buildInput(), { spec: getFilterSpec(), lastUpdated: lastUpdatedText });
+            } catch (e) {
+                console.error(`Export (${buttonId}) failed:`, e);
+                alert('Export failed. Please check the console for details.');
+            }
+        });
+    };
+
+    Object.entries(spreadsheetExporters).forEach(([buttonId, exportFn]) => {
+        bind(buttonId, () => buildFilteredPortfolioCollection().features, exportFn);
+    });
+    Object.entries(spatialExporters).forEach(([buttonId, exportFn]) => {
+        bind(buttonId, () => buildSpatialExportLayers(Boolean(includeServiceAreasToggle && includeServiceAreasToggle.checked)), exportFn);
+    });
+
+    console.log('Export buttons initialized');
+}
+
+/**
+ * Collects the layers for a spatial export: filtered portfolio points, the
+ * owned parcels matching them, and optionally the selected service areas
+ * @param {boolean} includeServiceAreas
+ * @returns {Object} { points, parcels, serviceAreas }
+ */
+function buildSpatialExportLayers(includeServiceAreas) {
+    const points = buildFilteredPortfolioCollection().features;
+    const parcelIds = new Set(points
+        .map(f => f.properties ? f.properties.parcel_id : null)
+        .filter(pid => pid != null)
+        .map(String));
+    const parcels = (parcelsData && Array.isArray(parcelsData.features) ? parcelsData.features : [])
+        .filter(f => f.properties && parcelIds.has(String(f.properties.parcel_id)));
+    const serviceAreas = includeServiceAreas && serviceAreasData && Array.isArray(serviceAreasData.features)
+        ? serviceAreasData.features.filter(f => f.properties && selectedServiceAreas.includes(f.properties.service_area))
+        : null;
+    return { points, parcels, serviceAreas };
+}
+
 /**
  * Initializes drawer open/close functionality
  */
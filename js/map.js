@@ -2,7 +2,78 @@
  * Map initialization and management module
  */
 
-import { mapConfig } from './config.js';
+import { mapConfig, basemapConfig } from './config.js';
+import { FOR_SALE_COLOR, SYMBOLOGY_MODES, ensureTypeIcons, getPortfolioPointStyle } from './symbology.js';
+import { CLUSTER_PROPERTIES, clusterRadiusExpression, enableClusterDonuts } from './clusterDonuts.js';
+import { escapeHtml } from './html.js';
+
+const LOGO_ICON_NAME = 'nghs-logo-icon';
+// Unclustered marker diameter in pixels; members closer than this cannot be told apart
+const MARKER_DIAMETER_PX = 46;
+// Give up on the Streets overlay rather than hold the map back when the network is slow or blocked
+const STREETS_OVERLAY_TIMEOUT_MS = 8000;
+
+// Ring colors for properties whose typed service_area disagrees with their location
+export const SERVICE_AREA_FLAG_COLORS = {
+    mismatch: '#ff9800',
+    outside: '#d500f9'
+};
+
+/**
+ * Lists the basemaps for the configured provider. The local provider offers
+ * the locally served basemap plus a blank one using the local glyphs.
+ * @returns {Object[]} basemaps ({ id, label, style, streetsOverlay })
+ */
+export function getAvailableBasemaps() {
+    if (basemapConfig.provider !== 'local') return basemapConfig.basemaps;
+    const local = basemapConfig.local || {};
+    const blank = {
+        version: 8,
+        glyphs: local.glyphs,
+        sources: {},
+        layers: [{ id: 'background', type: 'background', paint: { 'background-color': '#f2f2f2' } }]
+    };
+    if (local.sprite) blank.sprite = local.sprite;
+    return [
+        { id: 'local', label: local.label || 'Local', style: buildLocalStyle(local), streetsOverlay: false },
+        { id: 'none', label: 'None', style: blank, streetsOverlay: false }
+    ];
+}
+
+/**
+ * Returns the id of the basemap the map starts with
+ * @returns {string}
+ */
+export function getDefaultBasemapId() {
+    const basemaps = getAvailableBasemaps();
+    const configured = basemaps.find(b => b.id === basemapConfig.defaultBasemap);
+    return configured ? configured.id : basemaps[0].id;
+}
+
+// Style object for locally served raster/vector tiles (or the configured style URL)
+function buildLocalStyle(local) {
+    if (local.styleUrl) return local.styleUrl;
+    const tiles = local.tiles || {};
+    const source = {
+        type: tiles.type === 'vector' ? 'vector' : 'raster',
+        tiles: tiles.urls || [],
+        minzoom: tiles.minzoom != null ? tiles.minzoom : 0,
+        maxzoom: tiles.maxzoom != null ? tiles.maxzoom : 18,
+        attribution: tiles.attribution || ''
+    };
+    if (source.type === 'raster') source.tileSize = tiles.tileSize || 256;
+    const style = {
+        version: 8,
+        glyphs: local.glyphs,
+        sources: { 'local-basemap': source },
+        // Vector tiles without a style URL have no layer definitions; only a background is drawn
+        layers: source.type === 'raster'
+            ? [{ id: 'local-basemap-layer', type: 'raster', source: 'local-basemap' }]
+            : [{ id: 'background', type: 'background', paint: { 'background-color': '#f2f2f2' } }]
+    };
+    if (local.sprite) style.sprite = local.sprite;
+    return style;
+}
 
 /**
  * Initializes the Mapbox map
@@ -15,10 +86,12 @@ export async function initializeMap(containerId) {
             // Set the Mapbox access token
             mapboxgl.accessToken = mapConfig.accessToken;
 
+            const basemap = getAvailableBasemaps().find(b => b.id === getDefaultBasemapId());
+
             // Create the map
             const map = new mapboxgl.Map({
                 container: containerId,
-                style: mapConfig.style,
+                style: basemap.style,
                 center: mapConfig.center,
                 zoom: mapConfig.zoom,
                 // Prevent zooming too far out; allow full zoom-in by omitting maxZoom
@@ -31,6 +104,7 @@ export async function initializeMap(containerId) {
 
             // disable map rotation using right click + drag
             map.dragRotate.disable();
+            map.__nghsBasemap = basemap.id;
 
             // disable map rotation using touch rotation gesture
             map.touchZoomRotate.disableRotation();
@@ -47,136 +121,10 @@ export async function initializeMap(containerId) {
                 map.addControl(scale, "bottom-right");
 
                 // --- ADD MAPBOX LABELS ON TOP ---
-                try {
-                    console.log('Loading Mapbox Streets labels...');
-                    console.table(map.getStyle().layers);
-                    const streetsUrl = `https://api.mapbox.com/styles/v1/mapbox/streets-v12?access_token=${mapboxgl.accessToken}`;
-                    const response = await fetch(streetsUrl);
-                    const streetsStyle = await response.json();
-
-                    // Add all sources from the Streets style (if not already present)
-                    for (const [name, source] of Object.entries(streetsStyle.sources)) {
-                        if (!map.getSource(name)) {
-                            map.addSource(name, source);
-                        }
-                    }
-
-                    // Separate line layers (roads) and symbol layers (labels)
-                    const roadLayers = streetsStyle.layers.filter(layer =>
-                        layer.type === 'line' && layer.id.startsWith('road-')
-                    );
-                    const labelLayers = streetsStyle.layers.filter(layer =>
-                        layer.type === 'symbol'
-                    );
-
-                    const addedRoadLayerIds = [];
-                    const addedLabelLayerIds = [];
-
-                    // Add road line layers first (so labels draw on top)
-                    for (const layer of roadLayers) {
-                        if (!map.getLayer(layer.id)) {
-                            map.addLayer(layer);
-                            addedRoadLayerIds.push(layer.id);
-                        }
-                    }
-
-                    // Add label layers on top of roads
-                    for (const layer of labelLayers) {
-                        if (!map.getLayer(layer.id)) {
-                            map.addLayer(layer);
-                            addedLabelLayerIds.push(layer.id);
-                        }
-                    }
-
-                    // Persist IDs for debugging or later restyling
-                    map.__mapboxRoadLayerIds = addedRoadLayerIds;
-                    map.__mapboxLabelLayerIds = addedLabelLayerIds;
-
-                    // --- STYLE ROAD LAYERS FOR SATELLITE CONTEXT ---
-                    for (const layerId of addedRoadLayerIds) {
-                        const layer = map.getLayer(layerId);
-                        if (layer && layer.type === 'line') {
-                            // show all line layer.id values in the console
-                            console.log('Line layer ID:', layer.id);
-                            // Only keep major highways and interstates
-                            if (
-                                layer.id.includes('motorway') ||  
-                                layer.id.includes('major') ||     
-                                layer.id.includes('primary')
-                            ) {
-                                // Thin gray roads that blend with aerial imagery
-                                map.setPaintProperty(layerId, 'line-opacity', 0.6);
-                                map.setPaintProperty(layerId, 'line-color', '#888888');
-                                map.setPaintProperty(layerId, 'line-width', 1);
-                                map.setLayoutProperty(layerId, 'visibility', 'visible');
-                            } else {
-                                // Hide local and residential roads to declutter the map
-                                map.setLayoutProperty(layerId, 'visibility', 'none');
-                            }
-                        }
-                    }
-
-                    // --- HIDE UNWANTED LABEL LAYERS ---
-                    const hiddenLabelIds = [
-                        'airport-label',
-                        'golf-hole-label',
-                        'natural-line-label',
-                        'natural-point-label',
-                        'water-line-label',
-                        'water-point-label',
-                        'poi-label',
-                        'transit-label',
-                        'ferry-aerialway-label',
-                        'road-intersection',
-                        'building-number-label',
-                        'building-entrance',
-                        'block-number-label',
-                        'waterway-label'
-                    ];
-
-                    for (const layerId of hiddenLabelIds) {
-                        if (map.getLayer(layerId)) {
-                          map.setLayoutProperty(layerId, 'visibility', 'none');
-                        }
-                      }
-                      
-                    console.log('Visible label layers after hiding unwanted ones:');
-                    addedLabelLayerIds.forEach(layerId => {
-                    const visibility = map.getLayoutProperty(layerId, 'visibility');
-                    if (visibility !== 'none') {
-                        console.log(`- ${layerId} (${visibility})`);
-                    }
-                    });
-
-                    // --- ENHANCE LABEL READABILITY OVER SATELLITE IMAGERY ---
-                    for (const layerId of addedLabelLayerIds) {
-                        const layer = map.getLayer(layerId);
-                        if (layer && layer.type === 'symbol') {
-                            // Target only place-name layers (not roads, shields, or POIs)
-                            if (layer.id.startsWith('settlement-')) {
-                                map.setPaintProperty(layerId, 'text-halo-color', '#000000');
-                                map.setPaintProperty(layerId, 'text-halo-width', 1.5);
-                                // make the text color white
-                                map.setPaintProperty(layerId, 'text-color', '#ffffff');
-                            }
-
-                            // Road shields and route symbols
-                            if (
-                                layer.id.includes('road') ||
-                                layer.id.includes('motorway') ||
-                                layer.id.includes('trunk') ||
-                                layer.id.includes('primary')
-                            ) {
-                                // Slight transparency for shields and text
-                                map.setPaintProperty(layerId, 'icon-opacity', 0.9);
-                                map.setPaintProperty(layerId, 'text-opacity', 0.9);
-                            }
-                        }
-                    }                    
-
-                    console.log('Mapbox label layers added successfully');
-                } catch (err) {
-                    console.error('Error loading Mapbox labels:', err);
+                if (basemap.streetsOverlay) {
+                    await addStreetsOverlay(map);
+                } else {
+                    collectStyleLabelLayerIds(map);
                 }
                 
 
@@ -197,154 +145,214 @@ export async function initializeMap(containerId) {
 }
 
 /**
- * Adds GeoJSON data as a source and layer to the map
+ * Records the label layers of a basemap style that brings its own labels, so
+ * sendMapboxLabelsBelowServiceAreas reorders those beneath the service areas
  * @param {mapboxgl.Map} map - Mapbox map instance
- * @param {Object} geojsonData - GeoJSON feature collection
- * @param {string} sourceId - ID for the data source
- * @param {string} layerId - ID for the layer
  */
-export function addGeoJSONLayer(map, geojsonData, sourceId = 'portfolio', layerId = 'portfolio-points') {
-    // Load the custom marker image
-    const logoPath = 'assets/nghs_logo.png';
-    const iconName = 'nghs-logo-icon';
-    const backgroundLayerId = `${layerId}-background`;
-    
-    // Ensure the image is available
-    const ensureIcon = (cb) => {
-        if (map.hasImage(iconName)) {
-            cb();
-        } else {
-            map.loadImage(logoPath, (error, image) => {
-                if (error) {
-                    console.error('Error loading logo image:', error);
-                    return;
-                }
-                // Double-check in case another call added it while loading
-                if (!map.hasImage(iconName)) {
-                    try {
-                        map.addImage(iconName, image);
-                    } catch (e) {
-                        // Swallow duplicate image add errors due to race conditions
-                        if (!(e && e.message && e.message.includes('already exists'))) {
-                            console.error('Unexpected error adding image:', e);
-                        }
-                    }
-                }
-                cb();
-            });
+function collectStyleLabelLayerIds(map) {
+    map.__mapboxRoadLayerIds = [];
+    map.__mapboxLabelLayerIds = map.getStyle().layers
+        .filter(layer => layer.type === 'symbol')
+        .map(layer => layer.id);
+}
+
+/**
+ * Adds the Mapbox Streets roads and labels on top of the satellite imagery,
+ * restyled for aerial context. Label layer ids are kept on the map so
+ * sendMapboxLabelsBelowServiceAreas can reorder them.
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @returns {Promise<void>}
+ */
+export async function addStreetsOverlay(map) {
+    // Nothing to reorder until the overlay is in
+    map.__mapboxRoadLayerIds = [];
+    map.__mapboxLabelLayerIds = [];
+    const addedSourceIds = [];
+    const addedRoadLayerIds = [];
+    const addedLabelLayerIds = [];
+
+    try {
+        console.log('Loading Mapbox Streets labels...');
+        if (!mapboxgl.accessToken) {
+            throw new Error('no Mapbox access token configured');
+        }
+        const streetsUrl = `https://api.mapbox.com/styles/v1/mapbox/streets-v12?access_token=${mapboxgl.accessToken}`;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), STREETS_OVERLAY_TIMEOUT_MS);
+        let streetsStyle;
+        try {
+            const response = await fetch(streetsUrl, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            streetsStyle = await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+        if (!streetsStyle || !streetsStyle.sources || !Array.isArray(streetsStyle.layers)) {
+            throw new Error('unexpected Streets style response');
         }
-    };
 
-    ensureIcon(() => {
-        // Add or update source
-        const existingSource = map.getSource(sourceId);
-        if (existingSource) {
-            existingSource.setData(geojsonData);
-        } else {
-            map.addSource(sourceId, {
-                type: 'geojson',
-                data: geojsonData
-            });
+        // Add all sources from the Streets style (if not already present)
+        for (const [name, source] of Object.entries(streetsStyle.sources)) {
+            if (!map.getSource(name)) {
+                map.addSource(name, source);
+                addedSourceIds.push(name);
+            }
         }
 
-        // Add background layer if missing
-        if (!map.getLayer(backgroundLayerId)) {
-            map.addLayer({
-                id: backgroundLayerId,
-                type: 'circle',
-                source: sourceId,
-                paint: {
-                    'circle-radius': 23,
-                    'circle-color': '#ffffff',
-                    'circle-stroke-width': 2.5,
-                    'circle-stroke-color': '#333333',
-                    'circle-opacity': 0.8
-                }
-            });
+        // Separate line layers (roads) and symbol layers (labels)
+        const roadLayers = streetsStyle.layers.filter(layer =>
+            layer.type === 'line' && layer.id.startsWith('road-')
+        );
+        const labelLayers = streetsStyle.layers.filter(layer =>
+            layer.type === 'symbol'
+        );
+
+        // Add road line layers first (so labels draw on top)
+        for (const layer of roadLayers) {
+            if (!map.getLayer(layer.id)) {
+                map.addLayer(layer);
+                addedRoadLayerIds.push(layer.id);
+            }
         }
 
-        // Add symbol layer if missing
-        if (!map.getLayer(layerId)) {
-            map.addLayer({
-                id: layerId,
-                type: 'symbol',
-                source: sourceId,
-                layout: {
-                    'icon-image': iconName,
-                    'icon-size': 0.1,
-                    'icon-allow-overlap': true
+        // Add label layers on top of roads
+        for (const layer of labelLayers) {
+            if (!map.getLayer(layer.id)) {
+                map.addLayer(layer);
+                addedLabelLayerIds.push(layer.id);
+            }
+        }
+
+        // Persist IDs for debugging or later restyling
+        map.__mapboxRoadLayerIds = addedRoadLayerIds;
+        map.__mapboxLabelLayerIds = addedLabelLayerIds;
+
+        // --- STYLE ROAD LAYERS FOR SATELLITE CONTEXT ---
+        for (const layerId of addedRoadLayerIds) {
+            const layer = map.getLayer(layerId);
+            if (layer && layer.type === 'line') {
+                // Only keep major highways and interstates
+                if (
+                    layer.id.includes('motorway') ||  
+                    layer.id.includes('major') ||     
+                    layer.id.includes('primary')
+                ) {
+                    // Thin gray roads that blend with aerial imagery
+                    map.setPaintProperty(layerId, 'line-opacity', 0.6);
+                    map.setPaintProperty(layerId, 'line-color', '#888888');
+                    map.setPaintProperty(layerId, 'line-width', 1);
+                    map.setLayoutProperty(layerId, 'visibility', 'visible');
+                } else {
+                    // Hide local and residential roads to declutter the map
+                    map.setLayoutProperty(layerId, 'visibility', 'none');
                 }
-            });
+            }
         }
 
-        console.log(`Added layer '${layerId}' with source '${sourceId}' using custom icon with background`);
-    });
+        // --- HIDE UNWANTED LABEL LAYERS ---
+        const hiddenLabelIds = [
+            'airport-label',
+            'golf-hole-label',
+            'natural-line-label',
+            'natural-point-label',
+            'water-line-label',
+            'water-point-label',
+            'poi-label',
+            'transit-label',
+            'ferry-aerialway-label',
+            'road-intersection',
+            'building-number-label',
+            'building-entrance',
+            'block-number-label',
+            'waterway-label'
+        ];
+
+        for (const layerId of hiddenLabelIds) {
+            if (map.getLayer(layerId)) {
+              map.setLayoutProperty(layerId, 'visibility', 'none');
+            }
+          }
+
+        console.log('Visible label layers after hiding unwanted ones:');
+        addedLabelLayerIds.forEach(layerId => {
+        const visibility = map.getLayoutProperty(layerId, 'visibility');
+        if (visibility !== 'none') {
+            console.log(`- ${layerId} (${visibility})`);
+        }
+        });
+
+        // --- ENHANCE LABEL READABILITY OVER SATELLITE IMAGERY ---
+        for (const layerId of addedLabelLayerIds) {
+            const layer = map.getLayer(layerId);
+            if (layer && layer.type === 'symbol') {
+                // Target only place-name layers (not roads, shields, or POIs)
+                if (layer.id.startsWith('settlement-')) {
+                    map.setPaintProperty(layerId, 'text-halo-color', '#000000');
+                    map.setPaintProperty(layerId, 'text-halo-width', 1.5);
+                    // make the text color white
+                    map.setPaintProperty(layerId, 'text-color', '#ffffff');
+                }
+
+                // Road shields and route symbols
+                if (
+                    layer.id.includes('road') ||
+                    layer.id.includes('motorway') ||
+                    layer.id.includes('trunk') ||
+                    layer.id.includes('primary')
+                ) {
+                    // Slight transparency for shields and text
+                    map.setPaintProperty(layerId, 'icon-opacity', 0.9);
+                    map.setPaintProperty(layerId, 'text-opacity', 0.9);
+                }
+            }
+        }                    
+
+        console.log('Mapbox label layers added successfully');
+    } catch (err) {
+        // Offline or blocked: carry on with the bare basemap rather than a half-added overlay
+        console.warn('Mapbox Streets overlay unavailable, continuing without it:', err);
+        [...addedLabelLayerIds, ...addedRoadLayerIds].forEach(layerId => {
+            if (map.getLayer(layerId)) map.removeLayer(layerId);
+        });
+        addedSourceIds.forEach(sourceId => {
+            if (map.getSource(sourceId)) map.removeSource(sourceId);
+        });
+        map.__mapboxRoadLayerIds = [];
+        map.__mapboxLabelLayerIds = [];
+    }
 }
 
+// Single shared popup for portfolio points and the hooks notified when it opens/closes
+let activePortfolioPopup = null;
+let portfolioPopupHandlers = {};
+
 /**
- * Enables popups on portfolio point layers showing name and building type
+ * Enables teaser popups on portfolio point layers showing name, building type
+ * and size, with a button that opens the full property details
  * @param {mapboxgl.Map} map - Mapbox map instance
  * @param {string} layerId - ID of the symbol layer
+ * @param {Object} handlers - Optional { onOpen(feature), onClose(), onDetails(feature) } callbacks
  */
-export function enablePortfolioPopups(map, layerId = 'portfolio-points') {
+export function enablePortfolioPopups(map, layerId = 'portfolio-points', handlers = {}) {
     const backgroundLayerId = `${layerId}-background`;
-    let activePopup = null;
-
-    function escapeHtml(value) {
-        if (value == null) return '';
-        return String(value)
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#039;');
-    }
+    portfolioPopupHandlers = handlers || {};
+    // Layer handlers survive style changes, so bind them once
+    if (map.__nghsPortfolioPopupsBound) return;
+    map.__nghsPortfolioPopupsBound = true;
 
     function showPopup(e) {
-        const feature = e.features && e.features[0];
-        if (!feature) return;
-        const coordinates = (feature.geometry && feature.geometry.type === 'Point')
-            ? feature.geometry.coordinates.slice()
-            : [e.lngLat.lng, e.lngLat.lat];
-        const props = feature.properties || {};
-        const name = escapeHtml(props.name || 'Unknown');
-        const buildingType = escapeHtml(props.building_type || '');
-
-        // Determine which size value to show based on building_type
-        const rawBuildingType = (props.building_type || '');
-        const isLand = typeof rawBuildingType === 'string' && rawBuildingType.toLowerCase() === 'land';
-        const sizeLabel = isLand ? 'Land Size' : 'Square Footage';
-        const sizeRaw = isLand ? props.land_size : props.square_footage;
-        let sizeText;
-        if (sizeRaw == null || sizeRaw === '') {
-            sizeText = '—';
-        } else if (isLand) {
-            sizeText = String(sizeRaw) + ' acres';
-        } else {
-            const num = Number(sizeRaw);
-            sizeText = Number.isFinite(num) ? num.toLocaleString('en-US') : String(sizeRaw);
-        }
-
-        const html = `\n            <div class="popup-content">\n                <div class="popup-title">${name}</div>\n                <div class="popup-subtitle">${buildingType}</div>\n                <div class="popup-detail"><span class="popup-detail-label">${escapeHtml(sizeLabel)}:</span> ${escapeHtml(sizeText)}</div>\n            </div>\n        `;
-
-        // Ensure only one popup is open at a time to avoid overlap/race issues
-        if (activePopup) {
-            try { activePopup.remove(); } catch (_) {}
-            activePopup = null;
+        // Clicks place vertices while a drawing tool is active
+        if (map.__nghsDrawActive) return;
+        const features = uniqueByName(e.features || []);
+        if (features.length === 0) return;
+        // Properties sharing one address are drawn on top of each other: list them instead
+        if (features.length > 1) {
+            openPropertyListPopup(map, features, e.lngLat);
+            return;
         }
-
-        activePopup = new mapboxgl.Popup({
-            closeOnClick: true,
-            closeButton: true,
-            className: 'custom-popup',
-            anchor: 'bottom',
-            offset: 25
-        })
-            .setLngLat(coordinates)
-            .setHTML(html)
-            .addTo(map);
-
-        activePopup.on('close', () => { activePopup = null; });
+        openPortfolioPopup(map, features[0], e.lngLat);
     }
 
     // Attach handlers unconditionally; Mapbox GL allows registering for layers
@@ -358,6 +366,247 @@ export function enablePortfolioPopups(map, layerId = 'portfolio-points') {
     map.on('mouseleave', backgroundLayerId, () => { map.getCanvas().style.cursor = ''; });
 }
 
+/**
+ * Opens the portfolio popup for a feature (used by map clicks and by callers
+ * restoring or selecting a property programmatically)
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @param {Object} feature - GeoJSON Feature of a portfolio point
+ * @param {mapboxgl.LngLat} [lngLat] - Fallback position for non-point features
+ */
+export function openPortfolioPopup(map, feature, lngLat) {
+    if (!map || !feature) return;
+    const coordinates = (feature.geometry && feature.geometry.type === 'Point')
+        ? feature.geometry.coordinates.slice()
+        : (lngLat ? [lngLat.lng, lngLat.lat] : null);
+    if (!coordinates) return;
+    const props = feature.properties || {};
+    const name = escapeHtml(props.name || 'Unknown');
+    const buildingType = escapeHtml(props.building_type || '');
+
+    // Determine which size value to show based on building_type
+    const rawBuildingType = (props.building_type || '');
+    const isLand = typeof rawBuildingType === 'string' && rawBuildingType.toLowerCase() === 'land';
+    const sizeLabel = isLand ? 'Land Size' : 'Square Footage';
+    const sizeRaw = isLand ? props.land_size : props.square_footage;
+    let sizeText;
+    if (sizeRaw == null || sizeRaw === '') {
+        sizeText = '—';
+    } else if (isLand) {
+        sizeText = String(sizeRaw) + ' acres';
+    } else {
+        const num = Number(sizeRaw);
+        sizeText = Number.isFinite(num) ? num.toLocaleString('en-US') : String(sizeRaw);
+    }
+
+    const forSaleHtml = props.listed_for_sale === 'Yes'
+        ? '<div class="popup-badge-for-sale">Listed for Sale</div>'
+        : '';
+
+    const detailsHtml = typeof portfolioPopupHandlers.onDetails === 'function'
+        ? '<button type="button" class="popup-details-link">View details</button>'
+        : '';
+
+    const html = `\n            <div class="popup-content">\n                <div class="popup-title">${name}</div>\n                <div class="popup-subtitle">${buildingType}</div>\n                <div class="popup-detail"><span class="popup-detail-label">${escapeHtml(sizeLabel)}:</span> ${escapeHtml(sizeText)}</div>\n                ${forSaleHtml}\n                ${detailsHtml}\n            </div>\n        `;
+
+    // Ensure only one popup is open at a time to avoid overlap/race issues
+    closePortfolioPopup();
+
+    const popup = new mapboxgl.Popup({
+        closeOnClick: true,
+        closeButton: true,
+        className: 'custom-popup',
+        anchor: 'bottom',
+        offset: 25
+    })
+        .setLngLat(coordinates)
+        .setHTML(html)
+        .addTo(map);
+
+    activePortfolioPopup = popup;
+    const detailsButton = popup.getElement() && popup.getElement().querySelector('.popup-details-link');
+    if (detailsButton) {
+        detailsButton.addEventListener('click', () => portfolioPopupHandlers.onDetails(feature));
+    }
+    popup.on('close', () => {
+        if (activePortfolioPopup === popup) activePortfolioPopup = null;
+        if (typeof portfolioPopupHandlers.onClose === 'function') portfolioPopupHandlers.onClose();
+    });
+
+    if (typeof portfolioPopupHandlers.onOpen === 'function') portfolioPopupHandlers.onOpen(feature);
+}
+
+/**
+ * Opens a popup listing several properties at one spot (stacked markers or a
+ * cluster that cannot be split). Clicking a member opens its popup and details.
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @param {Object[]} features - portfolio Point features
+ * @param {mapboxgl.LngLat|number[]} lngLat - popup position
+ */
+export function openPropertyListPopup(map, features, lngLat) {
+    if (!map || !Array.isArray(features) || features.length === 0 || !lngLat) return;
+    const members = uniqueByName(features)
+        .slice()
+        .sort((a, b) => String(a.properties.name || '').localeCompare(String(b.properties.name || '')));
+
+    const items = members.map((feature, index) => {
+        const props = feature.properties || {};
+        const forSale = props.listed_for_sale === 'Yes' ? ' <span class="popup-list-for-sale">For Sale</span>' : '';
+        return (
+            `<li><button type="button" class="popup-list-item" data-index="${index}">` +
+                `<span class="popup-list-name">${escapeHtml(props.name || 'Unknown')}</span>${forSale}` +
+                `<span class="popup-list-type">${escapeHtml(props.building_type || '')}</span>` +
+            '</button></li>'
+        );
+    }).join('');
+    const address = members[0].properties && members[0].properties.address;
+    const html = (
+        '<div class="popup-content">' +
+            `<div class="popup-title">${members.length} properties here</div>` +
+            (address ? `<div class="popup-subtitle">${escapeHtml(address)}</div>` : '') +
+            `<ul class="popup-list">${items}</ul>` +
+        '</div>'
+    );
+
+    closePortfolioPopup();
+
+    const popup = new mapboxgl.Popup({
+        closeOnClick: true,
+        closeButton: true,
+        className: 'custom-popup',
+        anchor: 'bottom',
+        offset: 25
+    })
+        .setLngLat(lngLat)
+        .setHTML(html)
+        .addTo(map);
+
+    activePortfolioPopup = popup;
+    popup.getElement().querySelector('.popup-list').addEventListener('click', (event) => {
+        const button = event.target.closest('.popup-list-item');
+        if (!button) return;
+        const feature = members[Number(button.getAttribute('data-index'))];
+        if (!feature) return;
+        openPortfolioPopup(map, feature, popup.getLngLat());
+        if (typeof portfolioPopupHandlers.onDetails === 'function') portfolioPopupHandlers.onDetails(feature);
+    });
+    popup.on('close', () => {
+        if (activePortfolioPopup === popup) activePortfolioPopup = null;
+    });
+}
+
+// One feature per property name (the same point can be returned by several layers/tiles)
+function uniqueByName(features) {
+    const seen = new Set();
+    return features.filter(feature => {
+        const name = feature && feature.properties ? feature.properties.name : null;
+        if (name == null || seen.has(name)) return false;
+        seen.add(name);
+        return true;
+    });
+}
+
+/**
+ * Whether zooming a cluster in to `zoom` would draw its members as separate markers
+ * @param {mapboxgl.Map} map
+ * @param {Object[]} leaves - cluster member features
+ * @param {number} zoom - cluster expansion zoom
+ * @returns {boolean}
+ */
+function canSeparateCluster(map, leaves, zoom) {
+    if (zoom > map.getMaxZoom()) return false;
+    const scale = Math.pow(2, zoom - map.getZoom());
+    const points = leaves
+        .filter(leaf => leaf.geometry && leaf.geometry.type === 'Point')
+        .map(leaf => map.project(leaf.geometry.coordinates));
+    if (points.length < 2) return true;
+    const first = points[0];
+    return points.some(p => Math.hypot(p.x - first.x, p.y - first.y) * scale >= MARKER_DIAMETER_PX);
+}
+
+/**
+ * Closes the portfolio popup if one is open
+ */
+export function closePortfolioPopup() {
+    if (activePortfolioPopup) {
+        const popup = activePortfolioPopup;
+        activePortfolioPopup = null;
+        try { popup.remove(); } catch (_) {}
+    }
+}
+
+/**
+ * Draws a highlight ring around one portfolio point (e.g. the row picked in the
+ * property list). The source and layer are created on first use.
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @param {Object|null} feature - GeoJSON Point feature, or null to clear
+ */
+export function setPortfolioHighlight(map, feature) {
+    if (!map) return;
+    const sourceId = 'portfolio-highlight';
+    const data = {
+        type: 'FeatureCollection',
+        features: feature && feature.geometry ? [{ type: 'Feature', properties: {}, geometry: feature.geometry }] : []
+    };
+
+    const source = map.getSource(sourceId);
+    if (source) {
+        source.setData(data);
+    } else {
+        map.addSource(sourceId, { type: 'geojson', data });
+    }
+
+    if (!map.getLayer(sourceId)) {
+        map.addLayer({
+            id: sourceId,
+            type: 'circle',
+            source: sourceId,
+            paint: {
+                'circle-radius': 29,
+                'circle-color': 'rgba(0, 0, 0, 0)',
+                'circle-stroke-width': 4,
+                'circle-stroke-color': '#ffd600'
+            }
+        });
+    }
+}
+
+/**
+ * Shows or hides rings around unclustered properties whose service_area_check
+ * (dataLoader.js assignDerivedServiceAreas) is 'mismatch' or 'outside'. The
+ * layer is created on first use, below the markers so they stay clickable.
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @param {boolean} visible
+ * @param {string} sourceId - clustered portfolio source
+ */
+export function setServiceAreaFlags(map, visible, sourceId = 'portfolio') {
+    if (!map || !map.getSource(sourceId)) return;
+    const layerId = 'portfolio-service-area-flags';
+    if (!map.getLayer(layerId)) {
+        const beforeId = map.getLayer('portfolio-points-background') ? 'portfolio-points-background' : undefined;
+        // Follow the heatmap switch-over like the other clustered layers
+        const settings = map.__nghsHeatmapSettings;
+        map.addLayer({
+            id: layerId,
+            type: 'circle',
+            source: sourceId,
+            minzoom: map.__nghsMapMode === 'heatmap' && settings ? settings.switchZoom : 0,
+            filter: ['all',
+                ['!', ['has', 'point_count']],
+                ['in', ['get', 'service_area_check'], ['literal', Object.keys(SERVICE_AREA_FLAG_COLORS)]]
+            ],
+            paint: {
+                'circle-radius': 31,
+                'circle-color': 'rgba(0, 0, 0, 0)',
+                'circle-stroke-width': 4,
+                'circle-stroke-color': ['match', ['get', 'service_area_check'],
+                    ...Object.entries(SERVICE_AREA_FLAG_COLORS).flat(),
+                    SERVICE_AREA_FLAG_COLORS.mismatch]
+            }
+        }, beforeId);
+    }
+    map.setLayoutProperty(layerId, 'visibility', visible ? 'visible' : 'none');
+}
+
 /**
  * Fits the map to show all features in the given bounds
  * @param {mapboxgl.Map} map - Mapbox map instance
@@ -391,45 +640,31 @@ export function fitMapToBounds(map, geojsonData) {
 }
 
 /**
- * Updates the filter on map layers based on ownership type
+ * Changes the map's basemap style. setStyle drops every custom source, layer and
+ * image, so `onStyleReady` must add them back; it runs once the new style (and
+ * the Streets overlay, for imagery) is in place.
  * @param {mapboxgl.Map} map - Mapbox map instance
- * @param {string} ownershipType - 'all', 'Owned', or 'Leased'
- * @param {string} layerId - ID of the main layer to filter
+ * @param {Object} basemap - entry of getAvailableBasemaps() ({ id, style, streetsOverlay })
+ * @param {Function} [onStyleReady] - re-adds the app's sources and layers
  */
-export function updateOwnershipFilter(map, ownershipType, layerId = 'portfolio-points') {
-    const backgroundLayerId = `${layerId}-background`;
-    
-    // Create the filter based on ownership type
-    let filter;
-    if (ownershipType === 'all') {
-        filter = null; // Show all features
-    } else {
-        // Filter to show only properties matching the ownership type
-        filter = ['==', ['get', 'ownership_type'], ownershipType];
-    }
-    
-    // Apply the filter to both the main layer and background layer
-    if (map.getLayer(layerId)) {
-        map.setFilter(layerId, filter);
-    }
-    if (map.getLayer(backgroundLayerId)) {
-        map.setFilter(backgroundLayerId, filter);
-    }
-}
-
-/**
- * Changes the map's basemap style
- * @param {mapboxgl.Map} map - Mapbox map instance
- * @param {string} styleUrl - The Mapbox style URL to apply
- */
-export function changeBasemap(map, styleUrl) {
-    if (map && styleUrl) {
-        map.setStyle(styleUrl);
-    }
+export function changeBasemap(map, basemap, onStyleReady = null) {
+    if (!map || !basemap || !basemap.style) return;
+    map.__nghsBasemap = basemap.id;
+
+    map.once('style.load', async () => {
+        // A quicker second switch wins; its own handler re-adds the layers
+        if (map.__nghsBasemap !== basemap.id) return;
+        if (basemap.streetsOverlay) {
+            await addStreetsOverlay(map);
+        } else {
+            collectStyleLabelLayerIds(map);
+        }
+        if (map.__nghsBasemap !== basemap.id) return;
+        if (typeof onStyleReady === 'function') onStyleReady();
+    });
+    map.setStyle(basemap.style, { diff: false });
 }
 
-// Esri basemap utilities were removed per request; default Mapbox basemap remains
-
 
 /**
  * Repositions Mapbox label layers so they render UNDER the Service Area polygons
@@ -464,17 +699,20 @@ export function sendMapboxLabelsBelowServiceAreas(map) {
 
 
 /**
- * Adds clustered portfolio layers (clustered and unclustered) using the NGHS logo.
+ * Adds clustered portfolio layers (clustered and unclustered).
  * - Source id defaults to 'portfolio' and enables clustering
- * - Cluster layers: background circle + symbol with logo and count
+ * - Cluster layers: background circle + symbol with logo and count, covered by
+ *   ownership donut markers built from the aggregated clusterProperties
  * - Unclustered layers reuse ids 'portfolio-points[-background]' to keep popup code working
+ *   and are styled with the current symbology mode (see setPortfolioSymbology)
  * @param {mapboxgl.Map} map
  * @param {Object} geojsonData FeatureCollection of portfolio points
  * @param {string} sourceId
+ * @param {Function} [onReady] Called once the source and layers exist (the logo loads asynchronously)
  */
-export function addClusteredPortfolioLayers(map, geojsonData, sourceId = 'portfolio') {
+export function addClusteredPortfolioLayers(map, geojsonData, sourceId = 'portfolio', onReady = null) {
     const logoPath = 'assets/nghs_logo.png';
-    const iconName = 'nghs-logo-icon';
+    const iconName = LOGO_ICON_NAME;
 
     const ensureIcon = (cb) => {
         if (map.hasImage(iconName)) {
@@ -509,7 +747,8 @@ export function addClusteredPortfolioLayers(map, geojsonData, sourceId = 'portfo
                 data: geojsonData,
                 cluster: true,
                 clusterMaxZoom: 14,
-                clusterRadius: 50
+                clusterRadius: 50,
+                clusterProperties: CLUSTER_PROPERTIES
             });
         }
 
@@ -521,13 +760,7 @@ export function addClusteredPortfolioLayers(map, geojsonData, sourceId = 'portfo
                 source: sourceId,
                 filter: ['has', 'point_count'],
                 paint: {
-                    'circle-radius': [
-                        'step', ['get', 'point_count'],
-                        20, 10, 22,
-                        50, 26,
-                        100, 30,
-                        250, 36
-                    ],
+                    'circle-radius': clusterRadiusExpression(),
                     'circle-color': '#343a40',
                     'circle-opacity': 0.95,
                     'circle-stroke-width': 2.5,
@@ -563,48 +796,78 @@ export function addClusteredPortfolioLayers(map, geojsonData, sourceId = 'portfo
             });
         }
 
+        const symbologyMode = map.__nghsSymbologyMode || 'logo';
+        if (symbologyMode !== 'logo') ensureTypeIcons(map);
+        const pointStyle = getPortfolioPointStyle(symbologyMode, iconName);
+
         // Unclustered background circle (keep id pattern for popup helper)
+        // Properties listed for sale get a thicker red ring
         if (!map.getLayer('portfolio-points-background')) {
             map.addLayer({
                 id: 'portfolio-points-background',
                 type: 'circle',
                 source: sourceId,
                 filter: ['!', ['has', 'point_count']],
-                paint: {
-                    'circle-radius': 23,
-                    'circle-color': '#ffffff',
-                    'circle-stroke-width': 2.5,
-                    'circle-stroke-color': '#333333',
-                    'circle-opacity': 0.8
-                }
+                paint: pointStyle.background.paint
             });
         }
 
-        // Unclustered symbol with NGHS logo (retain id 'portfolio-points')
+        // Unclustered symbol: NGHS logo or property type icon (retain id 'portfolio-points')
         if (!map.getLayer('portfolio-points')) {
             map.addLayer({
                 id: 'portfolio-points',
                 type: 'symbol',
                 source: sourceId,
                 filter: ['!', ['has', 'point_count']],
+                layout: pointStyle.icon.layout
+            });
+        }
+
+        // "FOR SALE" badge under unclustered properties listed for sale
+        if (!map.getLayer('portfolio-points-for-sale')) {
+            map.addLayer({
+                id: 'portfolio-points-for-sale',
+                type: 'symbol',
+                source: sourceId,
+                filter: ['all', ['!', ['has', 'point_count']], ['==', ['get', 'listed_for_sale'], 'Yes']],
                 layout: {
-                    'icon-image': iconName,
-                    'icon-size': 0.1,
-                    'icon-allow-overlap': true
+                    'text-field': 'FOR SALE',
+                    'text-font': ['Arial Unicode MS Bold', 'DIN Offc Pro Medium'],
+                    'text-size': 11,
+                    'text-offset': [0, 2.6],
+                    'text-anchor': 'top',
+                    'text-allow-overlap': true,
+                    'text-ignore-placement': true
+                },
+                paint: {
+                    'text-color': '#ffffff',
+                    'text-halo-color': FOR_SALE_COLOR,
+                    'text-halo-width': 3
                 }
             });
         }
 
         // Cluster click to expand zoom
         const onClusterClick = (e) => {
+            // Clicks place vertices while a drawing tool is active
+            if (map.__nghsDrawActive) return;
             const features = map.queryRenderedFeatures(e.point, { layers: ['portfolio-clusters'] });
             const clusterId = features && features[0] && features[0].properties && features[0].properties.cluster_id;
             if (clusterId == null) return;
             const src = map.getSource(sourceId);
             if (!src) return;
+            const center = features[0].geometry.coordinates;
+            const pointCount = features[0].properties.point_count;
             src.getClusterExpansionZoom(clusterId, (err, zoom) => {
                 if (err) return;
-                map.easeTo({ center: features[0].geometry.coordinates, zoom });
+                // Members at (nearly) the same spot stay stacked at any zoom: list them instead
+                src.getClusterLeaves(clusterId, pointCount, 0, (leavesErr, leaves) => {
+                    if (!leavesErr && Array.isArray(leaves) && !canSeparateCluster(map, leaves, zoom)) {
+                        openPropertyListPopup(map, leaves, center);
+                        return;
+                    }
+                    map.easeTo({ center, zoom });
+                });
             });
         };
         // Attach once
@@ -624,9 +887,38 @@ export function addClusteredPortfolioLayers(map, geojsonData, sourceId = 'portfo
             map.on('mouseleave', 'portfolio-clusters-background', unsetPointer);
             map.__nghsClusterCursorBound = true;
         }
+
+        enableClusterDonuts(map, sourceId);
+
+        if (typeof onReady === 'function') onReady();
     });
 }
 
+/**
+ * Switches the unclustered portfolio marker symbology. The mode is remembered
+ * on the map so layers added later (e.g. after a style change) use it too.
+ * @param {mapboxgl.Map} map
+ * @param {string} mode - 'logo', 'building_type' or 'ownership_type'
+ */
+export function setPortfolioSymbology(map, mode) {
+    if (!map) return;
+    const symbologyMode = SYMBOLOGY_MODES.includes(mode) ? mode : 'logo';
+    map.__nghsSymbologyMode = symbologyMode;
+    if (symbologyMode !== 'logo') ensureTypeIcons(map);
+
+    const pointStyle = getPortfolioPointStyle(symbologyMode, LOGO_ICON_NAME);
+    if (map.getLayer('portfolio-points-background')) {
+        Object.entries(pointStyle.background.paint).forEach(([name, value]) => {
+            map.setPaintProperty('portfolio-points-background', name, value);
+        });
+    }
+    if (map.getLayer('portfolio-points')) {
+        Object.entries(pointStyle.icon.layout).forEach(([name, value]) => {
+            map.setLayoutProperty('portfolio-points', name, value);
+        });
+    }
+}
+
 /**
  * Updates the clustered portfolio source data (to reflect filters).
  * @param {mapboxgl.Map} map
@@ -643,4 +935,3 @@ export function updateClusteredPortfolioData(map, filteredGeojson, sourceId = 'p
         }
     }
 }
-
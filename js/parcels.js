@@ -1,24 +1,33 @@
 /**
  * Parcels layer module
- * Loads parcels polygons, filters by allowed parcel_ids from portfolio,
- * and adds fill + outline layers that are only visible at higher zoom levels.
+ * Filters parcels polygons (loaded with the other datasets in main.js) by
+ * allowed parcel_ids from portfolio, and adds fill + outline layers that are
+ * only visible at higher zoom levels.
+ * Parcels highlight on hover and open a popup with their acreage and the
+ * portfolio properties joined to them.
  */
 
-import { dataConfig } from './config.js';
-import { loadGeoJSON } from './dataLoader.js';
+import { geometriesIntersect, getGeometryBbox, geometryAreaSqMeters } from './geometry.js';
+import { escapeHtml } from './html.js';
 
 const PARCELS_SOURCE_ID = 'parcels';
 const PARCELS_FILL_LAYER_ID = 'parcels-fill';
 const PARCELS_LINE_LAYER_ID = 'parcels-outline';
+const PARCELS_SELECTED_LAYER_ID = 'parcels-selected';
+const SQ_METERS_PER_ACRE = 4046.8564224;
+
+// Portfolio layers drawn over the parcels; their own popups win a click
+const PORTFOLIO_LAYER_IDS = ['portfolio-points', 'portfolio-points-background', 'portfolio-clusters', 'portfolio-clusters-background'];
+
+let parcelPopup = null;
 
 /**
- * Loads the parcels GeoJSON and filters features by a set of allowed parcel_ids.
+ * Keeps the parcels whose parcel_id is in the allowed set
+ * @param {Object} data - parcels FeatureCollection (all parcels, as loaded)
  * @param {Set<string>|string[]} allowedParcelIds - Unique parcel_id values to include
- * @returns {Promise<Object>} Filtered GeoJSON FeatureCollection
+ * @returns {Object} Filtered GeoJSON FeatureCollection
  */
-export async function loadFilteredParcels(allowedParcelIds) {
-    const data = await loadGeoJSON(dataConfig.parcelsDataPath);
-
+export function filterParcelsByIds(data, allowedParcelIds) {
     const allowed = Array.isArray(allowedParcelIds)
         ? new Set(allowedParcelIds.filter(v => v != null).map(String))
         : (allowedParcelIds instanceof Set ? allowedParcelIds : new Set());
@@ -27,37 +36,10 @@ export async function loadFilteredParcels(allowedParcelIds) {
         return { type: 'FeatureCollection', features: [] };
     }
 
-    const filtered = data.features.filter(f => {
+    const features = data.features.filter(f => {
         const pid = f && f.properties ? f.properties.parcel_id : undefined;
         return pid != null && allowed.has(String(pid));
     });
-
-    // If data is not in WGS84, reproject coordinates from EPSG:26967 to EPSG:4326.
-    // We detected EPSG:26967 in the source file's CRS metadata.
-    const projectedCrs = data && data.crs && data.crs.properties && typeof data.crs.properties.name === 'string'
-        ? data.crs.properties.name
-        : '';
-
-    const needsReproject = projectedCrs.includes('EPSG::26967');
-
-    let features = filtered;
-    if (needsReproject && typeof proj4 === 'function') {
-        // Define EPSG:26967 if not already defined
-        try {
-            if (!proj4.defs['EPSG:26967']) {
-                proj4.defs('EPSG:26967', '+proj=tmerc +lat_0=30 +lon_0=-84.5 +k=0.9999 +x_0=200000 +y_0=0 +datum=NAD83 +units=m +no_defs +type=crs');
-            }
-        } catch (e) {
-            // swallow; if definition exists or fails, we'll attempt anyway
-        }
-        const forward = (xy) => {
-            const p = proj4('EPSG:26967', 'EPSG:4326', { x: xy[0], y: xy[1] });
-            return [p.x, p.y];
-        };
-
-        features = filtered.map(f => reprojectFeature(f, forward)).filter(Boolean);
-    }
-
     return { type: 'FeatureCollection', features };
 }
 
@@ -74,7 +56,9 @@ export function addParcelsLayers(map, geojson, minZoom = 13) {
     } else {
         map.addSource(PARCELS_SOURCE_ID, {
             type: 'geojson',
-            data: geojson
+            data: geojson,
+            // Feature ids for the hover feature-state
+            promoteId: 'parcel_id'
         });
     }
 
@@ -85,7 +69,7 @@ export function addParcelsLayers(map, geojson, minZoom = 13) {
             source: PARCELS_SOURCE_ID,
             paint: {
                 'fill-color': '#ffffff',
-                'fill-opacity': 0.35
+                'fill-opacity': ['case', ['boolean', ['feature-state', 'hover'], false], 0.6, 0.35]
             },
             minzoom: minZoom
         });
@@ -98,53 +82,265 @@ export function addParcelsLayers(map, geojson, minZoom = 13) {
             source: PARCELS_SOURCE_ID,
             paint: {
                 'line-color': '#2b2b2b',
-                'line-width': 1
+                'line-width': ['case', ['boolean', ['feature-state', 'hover'], false], 2.5, 1]
             },
             minzoom: minZoom
         });
     }
 }
 
+/**
+ * Makes the parcels interactive: hovering highlights a parcel and clicking it
+ * outlines the parcel and opens a popup with its parcel_id, acreage and the
+ * portfolio properties joined to it. Handlers survive style changes, so they
+ * are bound once.
+ * @param {mapboxgl.Map} map
+ * @param {Object} handlers
+ * @param {Function} handlers.getParcel - (parcelId) => full parcel Feature (rendered geometry is clipped to tiles)
+ * @param {Function} handlers.getProperties - (parcelId) => portfolio features joined to the parcel
+ * @param {Function} handlers.onSelectProperty - (feature) => void, called when a listed property is clicked
+ */
+export function enableParcelInteractions(map, handlers = {}) {
+    if (!map || map.__nghsParcelInteractionsBound) return;
+    map.__nghsParcelInteractionsBound = true;
+
+    let hoveredId = null;
+    const setHover = (id) => {
+        if (hoveredId === id) return;
+        if (hoveredId != null && map.getSource(PARCELS_SOURCE_ID)) {
+            map.setFeatureState({ source: PARCELS_SOURCE_ID, id: hoveredId }, { hover: false });
+        }
+        hoveredId = id;
+        if (hoveredId != null && map.getSource(PARCELS_SOURCE_ID)) {
+            map.setFeatureState({ source: PARCELS_SOURCE_ID, id: hoveredId }, { hover: true });
+        }
+    };
+
+    map.on('mousemove', PARCELS_FILL_LAYER_ID, (e) => {
+        const feature = e.features && e.features[0];
+        setHover(feature && feature.id != null ? feature.id : null);
+        if (!map.__nghsDrawActive && !isOverPortfolio(map, e.point)) {
+            map.getCanvas().style.cursor = 'pointer';
+        }
+    });
+    map.on('mouseleave', PARCELS_FILL_LAYER_ID, () => {
+        setHover(null);
+        map.getCanvas().style.cursor = '';
+    });
+    // A new style starts with empty feature-state
+    map.on('style.load', () => { hoveredId = null; });
+
+    map.on('click', PARCELS_FILL_LAYER_ID, (e) => {
+        // Clicks place vertices while a drawing tool is active
+        if (map.__nghsDrawActive || isOverPortfolio(map, e.point)) return;
+        const feature = e.features && e.features[0];
+        const parcelId = feature && feature.properties ? feature.properties.parcel_id : null;
+        if (parcelId == null) return;
+        const parcel = (typeof handlers.getParcel === 'function' && handlers.getParcel(parcelId)) || feature;
+        const properties = typeof handlers.getProperties === 'function' ? (handlers.getProperties(parcelId) || []) : [];
+        openParcelPopup(map, parcel, properties, e.lngLat, handlers.onSelectProperty);
+    });
+}
+
+/**
+ * Whether the parcel popup is open (its parcel owns the selected outline)
+ * @returns {boolean}
+ */
+export function isParcelPopupOpen() {
+    return parcelPopup !== null;
+}
+
+/**
+ * Acreage of a parcel computed from its geometry
+ * @param {Object} parcel - parcel Feature
+ * @returns {number} acres
+ */
+export function getParcelAcres(parcel) {
+    return parcel && parcel.geometry ? geometryAreaSqMeters(parcel.geometry) / SQ_METERS_PER_ACRE : 0;
+}
+
+// Popup listing the parcel and its properties; the parcel stays outlined while it is open
+function openParcelPopup(map, parcel, properties, lngLat, onSelectProperty) {
+    const parcelId = parcel.properties ? parcel.properties.parcel_id : '';
+    const acres = getParcelAcres(parcel);
+    const members = properties
+        .slice()
+        .sort((a, b) => String(a.properties.name || '').localeCompare(String(b.properties.name || '')));
+    const items = members.map((feature, index) => {
+        const props = feature.properties || {};
+        return (
+            `<li><button type="button" class="popup-list-item" data-index="${index}">` +
+                `<span class="popup-list-name">${escapeHtml(props.name || 'Unknown')}</span>` +
+                `<span class="popup-list-type">${escapeHtml(props.building_type || '')}</span>` +
+            '</button></li>'
+        );
+    }).join('');
+    const html = (
+        '<div class="popup-content">' +
+            '<div class="popup-title">Parcel</div>' +
+            `<div class="popup-detail"><span class="popup-detail-label">Parcel ID:</span> ${escapeHtml(parcelId)}</div>` +
+            `<div class="popup-detail"><span class="popup-detail-label">Acreage:</span> ${acres > 0 ? acres.toFixed(2) : '—'}</div>` +
+            (members.length
+                ? `<div class="popup-subtitle">${members.length} ${members.length === 1 ? 'property' : 'properties'} on this parcel</div><ul class="popup-list">${items}</ul>`
+                : '<div class="popup-subtitle">No portfolio properties on this parcel</div>') +
+        '</div>'
+    );
+
+    if (parcelPopup) parcelPopup.remove();
+    setSelectedParcel(map, parcel);
+
+    const popup = new mapboxgl.Popup({
+        closeOnClick: true,
+        closeButton: true,
+        className: 'custom-popup'
+    })
+        .setLngLat(lngLat)
+        .setHTML(html)
+        .addTo(map);
+    parcelPopup = popup;
+
+    popup.on('close', () => {
+        if (parcelPopup !== popup) return;
+        parcelPopup = null;
+        setSelectedParcel(map, null);
+    });
+
+    const list = popup.getElement().querySelector('.popup-list');
+    if (!list) return;
+    list.addEventListener('click', (event) => {
+        const button = event.target.closest('.popup-list-item');
+        if (!button) return;
+        const feature = members[Number(button.getAttribute('data-index'))];
+        if (!feature) return;
+        // Close first so the selected property can outline the parcel again
+        popup.remove();
+        if (typeof onSelectProperty === 'function') onSelectProperty(feature);
+    });
+}
+
+function isOverPortfolio(map, point) {
+    const layers = PORTFOLIO_LAYER_IDS.filter(layerId => map.getLayer(layerId));
+    return layers.length > 0 && map.queryRenderedFeatures(point, { layers }).length > 0;
+}
+
 /**
  * Updates visibility filters for parcels based on map state or selections.
- * Currently a no-op; reserved for future dynamic filtering.
  * @param {mapboxgl.Map} map
+ * @param {string[]|null} visibleParcelIds - parcel_ids to show; null shows every parcel
  */
-export function updateParcelsFilters(map) {
-    // Placeholder: no dynamic filters beyond zoom constraint for now
+export function updateParcelsFilters(map, visibleParcelIds = null) {
+    const filter = Array.isArray(visibleParcelIds)
+        ? ['in', ['to-string', ['get', 'parcel_id']], ['literal', visibleParcelIds.map(String)]]
+        : null;
+    [PARCELS_FILL_LAYER_ID, PARCELS_LINE_LAYER_ID].forEach(layerId => {
+        if (map.getLayer(layerId)) {
+            map.setFilter(layerId, filter);
+        }
+    });
 }
 
 /**
- * Reprojects a GeoJSON Feature's coordinates using a transform function [x,y] -> [lon,lat].
- * Supports Polygon and MultiPolygon.
- * @param {Object} feature
- * @param {(xy:number[])=>number[]} transform
- * @returns {Object}
+ * Indexes portfolio properties by the parcel_id they reference
+ * @param {Object[]} features - portfolio features
+ * @returns {Map<string, Object[]>} parcel_id -> properties on that parcel
  */
-function reprojectFeature(feature, transform) {
-    if (!feature || !feature.geometry) return null;
-    const geom = feature.geometry;
-    if (geom.type === 'Polygon') {
-        return {
-            type: 'Feature',
-            properties: { ...(feature.properties || {}) },
-            geometry: {
-                type: 'Polygon',
-                coordinates: geom.coordinates.map(ring => ring.map(transform))
-            }
-        };
-    } else if (geom.type === 'MultiPolygon') {
-        return {
-            type: 'Feature',
-            properties: { ...(feature.properties || {}) },
-            geometry: {
-                type: 'MultiPolygon',
-                coordinates: geom.coordinates.map(poly => poly.map(ring => ring.map(transform)))
-            }
-        };
-    }
-    // Unsupported geometry types are skipped for safety
-    return null;
+export function buildParcelPropertyIndex(features) {
+    const index = new Map();
+    (Array.isArray(features) ? features : []).forEach(f => {
+        const pid = f && f.properties ? f.properties.parcel_id : null;
+        if (pid == null || pid === '') return;
+        const key = String(pid);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(f);
+    });
+    return index;
+}
+
+/**
+ * Returns the parcel_ids referenced by at least one visible Owned property
+ * @param {Map<string, Object[]>} index - from buildParcelPropertyIndex
+ * @param {Object[]} visibleFeatures - portfolio features passing the current filters
+ * @returns {string[]} parcel_id values
+ */
+export function getVisibleParcelIds(index, visibleFeatures) {
+    if (!index) return [];
+    const visible = new Set(visibleFeatures || []);
+    const ids = [];
+    index.forEach((properties, parcelId) => {
+        if (properties.some(f => visible.has(f) && f.properties.ownership_type === 'Owned')) {
+            ids.push(parcelId);
+        }
+    });
+    return ids;
 }
 
+/**
+ * Returns the parcel_ids of parcels overlapping a Polygon/MultiPolygon (e.g. a drawn area)
+ * @param {Object} parcels - FeatureCollection of parcels
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {string[]} parcel_id values
+ */
+export function getParcelIdsInGeometry(parcels, geometry) {
+    if (!parcels || !Array.isArray(parcels.features) || !geometry) return [];
+    const ids = new Set();
+    parcels.features.forEach(f => {
+        const pid = f && f.properties ? f.properties.parcel_id : null;
+        if (pid != null && f.geometry && geometriesIntersect(f.geometry, geometry)) {
+            ids.add(String(pid));
+        }
+    });
+    return Array.from(ids);
+}
 
+/**
+ * Finds the parcel polygon with the given parcel_id
+ * @param {Object} parcels - FeatureCollection of parcels
+ * @param {string|number|null} parcelId
+ * @returns {Object|null} parcel Feature
+ */
+export function findParcelById(parcels, parcelId) {
+    if (!parcels || !Array.isArray(parcels.features) || parcelId == null || parcelId === '') return null;
+    return parcels.features.find(f => f && f.properties && String(f.properties.parcel_id) === String(parcelId)) || null;
+}
+
+/**
+ * Outlines one parcel (e.g. the parcel of the property shown in the detail panel)
+ * and optionally zooms to it. The source and layer are created on first use.
+ * @param {mapboxgl.Map} map
+ * @param {Object|null} parcel - parcel Feature, or null to clear
+ * @param {Object} [options]
+ * @param {boolean} [options.zoomTo=false] - fit the map to the parcel
+ */
+export function setSelectedParcel(map, parcel, options = {}) {
+    if (!map) return;
+    const data = {
+        type: 'FeatureCollection',
+        features: parcel && parcel.geometry ? [{ type: 'Feature', properties: {}, geometry: parcel.geometry }] : []
+    };
+
+    const source = map.getSource(PARCELS_SELECTED_LAYER_ID);
+    if (source) {
+        source.setData(data);
+    } else {
+        map.addSource(PARCELS_SELECTED_LAYER_ID, { type: 'geojson', data });
+    }
+
+    // Drawn below the portfolio markers so the point stays clickable
+    if (!map.getLayer(PARCELS_SELECTED_LAYER_ID)) {
+        const beforeId = map.getLayer('portfolio-clusters-background') ? 'portfolio-clusters-background' : undefined;
+        map.addLayer({
+            id: PARCELS_SELECTED_LAYER_ID,
+            type: 'line',
+            source: PARCELS_SELECTED_LAYER_ID,
+            paint: {
+                'line-color': '#ffd600',
+                'line-width': 3
+            }
+        }, beforeId);
+    }
+
+    const bbox = options.zoomTo && parcel ? getGeometryBbox(parcel.geometry) : null;
+    if (bbox) {
+        map.fitBounds([[bbox[0], bbox[1]], [bbox[2], bbox[3]]], { padding: 80, maxZoom: 18 });
+    }
+}
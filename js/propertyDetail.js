@@ -0,0 +1,242 @@
+/**
+ * Property detail panel module
+ * Slide-out panel listing every attribute of one portfolio property, a link to
+ * its parcel outline, the other properties in the same `grouping`, and
+ * previous/next navigation through the currently filtered properties.
+ */
+
+import { escapeHtml } from './html.js';
+
+// Attribute rows in display order; keys not listed here are appended with their raw name
+const FIELDS = [
+    { key: 'address', label: 'Address' },
+    { key: 'building_type', label: 'Building Type' },
+    { key: 'ownership_type', label: 'Ownership' },
+    { key: 'square_footage', label: 'Square Footage', format: value => formatNumber(value) },
+    { key: 'land_size', label: 'Land Size', format: value => `${formatNumber(value)} acres` },
+    { key: 'service_area', label: 'Service Area' },
+    { key: 'derived_service_area', label: 'Located In' },
+    { key: 'listed_for_sale', label: 'Listed for Sale' },
+    { key: 'longstreet', label: 'Longstreet' },
+    { key: 'grouping', label: 'Grouping' },
+    { key: 'parcel_id', label: 'Parcel ID' },
+    { key: 'lat', label: 'Latitude' },
+    { key: 'lon', label: 'Longitude' }
+];
+// service_area_check repeats what Service Area vs. Located In already shows
+const HIDDEN_KEYS = new Set(['name', 'service_area_check']);
+
+let panelEl = null;
+let detailOptions = {};
+let currentFeature = null;
+
+/**
+ * Creates the (initially closed) detail panel
+ * @param {Object} options
+ * @param {Function} options.getFeatures - () => filtered portfolio features, used for prev/next
+ * @param {Function} options.getAllFeatures - () => all portfolio features, used for grouping siblings
+ * @param {Function} options.hasParcel - (feature) => boolean, whether a parcel outline exists
+ * @param {Function} options.onNavigate - (feature) => void, called for prev/next and sibling clicks
+ * @param {Function} options.onShowParcel - (feature) => void, called by the parcel link
+ * @param {Function} options.onShow - (feature|null) => void, called when the shown property changes or the panel closes
+ * @returns {HTMLElement} panel element
+ */
+export function initPropertyDetailPanel(options = {}) {
+    if (panelEl) return panelEl;
+    detailOptions = options || {};
+
+    panelEl = document.createElement('aside');
+    panelEl.id = 'property-detail-panel';
+    panelEl.className = 'property-detail-panel';
+    panelEl.setAttribute('aria-label', 'Property Details');
+    panelEl.setAttribute('aria-hidden', 'true');
+
+    const container = document.getElementById('map-container') || document.body;
+    container.appendChild(panelEl);
+
+    // One delegated handler for close / prev / next / parcel / sibling
+    panelEl.addEventListener('click', (event) => {
+        const target = event.target.closest('[data-action]');
+        if (!target || target.disabled) return;
+        const action = target.getAttribute('data-action');
+        if (action === 'close') {
+            closePropertyDetail();
+        } else if (action === 'prev' || action === 'next') {
+            const { previous, next } = getNeighbours();
+            const feature = action === 'prev' ? previous : next;
+            if (feature) navigate(feature);
+        } else if (action === 'parcel') {
+            if (currentFeature && typeof detailOptions.onShowParcel === 'function') detailOptions.onShowParcel(currentFeature);
+        } else if (action === 'sibling') {
+            const name = target.getAttribute('data-name');
+            const feature = getAllFeatures().find(f => f.properties && f.properties.name === name);
+            if (feature) navigate(feature);
+        }
+    });
+
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && currentFeature) closePropertyDetail();
+    });
+
+    return panelEl;
+}
+
+/**
+ * Shows a property in the detail panel, opening it if needed
+ * @param {Object} feature - portfolio Point feature
+ */
+export function openPropertyDetail(feature) {
+    if (!panelEl || !feature) return;
+    currentFeature = feature;
+    render();
+    panelEl.classList.add('is-open');
+    panelEl.setAttribute('aria-hidden', 'false');
+    if (typeof detailOptions.onShow === 'function') detailOptions.onShow(feature);
+}
+
+/**
+ * Closes the detail panel
+ */
+export function closePropertyDetail() {
+    if (!panelEl || !currentFeature) return;
+    currentFeature = null;
+    panelEl.classList.remove('is-open');
+    panelEl.setAttribute('aria-hidden', 'true');
+    if (typeof detailOptions.onShow === 'function') detailOptions.onShow(null);
+}
+
+/**
+ * Whether the panel is currently showing a property
+ * @returns {boolean}
+ */
+export function isPropertyDetailOpen() {
+    return currentFeature != null;
+}
+
+/**
+ * Re-renders the open panel, e.g. after the filters changed the prev/next set
+ */
+export function refreshPropertyDetail() {
+    if (currentFeature) render();
+}
+
+function navigate(feature) {
+    if (typeof detailOptions.onNavigate === 'function') {
+        detailOptions.onNavigate(feature);
+    } else {
+        openPropertyDetail(feature);
+    }
+}
+
+function getFilteredFeatures() {
+    const features = typeof detailOptions.getFeatures === 'function' ? detailOptions.getFeatures() : [];
+    return Array.isArray(features) ? features : [];
+}
+
+function getAllFeatures() {
+    const features = typeof detailOptions.getAllFeatures === 'function' ? detailOptions.getAllFeatures() : [];
+    return Array.isArray(features) ? features : [];
+}
+
+// Filtered properties in name order with the position of the shown one (-1 when filtered out)
+function getNeighbours() {
+    const ordered = getFilteredFeatures().slice().sort(compareNames);
+    const name = getName(currentFeature);
+    const index = ordered.findIndex(f => getName(f) === name);
+    if (index < 0 || ordered.length < 2) return { index, total: ordered.length, previous: null, next: null };
+    return {
+        index,
+        total: ordered.length,
+        previous: ordered[(index - 1 + ordered.length) % ordered.length],
+        next: ordered[(index + 1) % ordered.length]
+    };
+}
+
+function render() {
+    const props = currentFeature.properties || {};
+    const { index, total, previous, next } = getNeighbours();
+    const position = index >= 0
+        ? `${index + 1} of ${total}`
+        : 'Not in the current filters';
+
+    const listedKeys = new Set(FIELDS.map(f => f.key));
+    const extraFields = Object.keys(props)
+        .filter(key => !listedKeys.has(key) && !HIDDEN_KEYS.has(key))
+        .map(key => ({ key, label: key }));
+    const rows = FIELDS.concat(extraFields).map(field => {
+        const value = props[field.key];
+        const text = value == null || value === '' ? '—' : (field.format ? field.format(value) : String(value));
+        return `<tr><th>${escapeHtml(field.label)}</th><td>${escapeHtml(text)}</td></tr>`;
+    }).join('');
+
+    const hasParcel = typeof detailOptions.hasParcel === 'function' && detailOptions.hasParcel(currentFeature);
+    const badge = props.listed_for_sale === 'Yes'
+        ? '<div class="popup-badge-for-sale">Listed for Sale</div>'
+        : '';
+
+    panelEl.innerHTML = (
+        '<div class="property-detail-header">' +
+            `<div class="property-detail-title">${escapeHtml(props.name || 'Unknown')}</div>` +
+            '<wa-button size="small" appearance="plain" data-action="close" title="Close">' +
+                '<wa-icon name="xmark" label="Close"></wa-icon>' +
+            '</wa-button>' +
+        '</div>' +
+        badge +
+        '<div class="property-detail-nav">' +
+            `<wa-button size="small" appearance="outlined" data-action="prev"${previous ? '' : ' disabled'}>` +
+                '<wa-icon slot="start" name="chevron-left"></wa-icon>Prev' +
+            '</wa-button>' +
+            `<span class="property-detail-position">${escapeHtml(position)}</span>` +
+            `<wa-button size="small" appearance="outlined" data-action="next"${next ? '' : ' disabled'}>` +
+                'Next<wa-icon slot="end" name="chevron-right"></wa-icon>' +
+            '</wa-button>' +
+        '</div>' +
+        '<div class="property-detail-scroll">' +
+            `<table class="property-detail-table"><tbody>${rows}</tbody></table>` +
+            `<wa-button size="small" appearance="outlined" data-action="parcel"${hasParcel ? '' : ' disabled'}>` +
+                '<wa-icon slot="start" name="draw-polygon"></wa-icon>' +
+                (hasParcel ? 'Show parcel outline' : 'No parcel on file') +
+            '</wa-button>' +
+            renderSiblings(props.grouping) +
+        '</div>'
+    );
+}
+
+function renderSiblings(grouping) {
+    if (grouping == null || grouping === '') return '';
+    const name = getName(currentFeature);
+    const siblings = getAllFeatures()
+        .filter(f => f.properties && f.properties.grouping === grouping && f.properties.name !== name)
+        .sort(compareNames);
+    if (siblings.length === 0) return '';
+    const visible = new Set(getFilteredFeatures().map(getName));
+    const items = siblings.map(f => {
+        const siblingName = getName(f);
+        const hidden = visible.has(siblingName) ? '' : ' <span class="property-detail-hidden">(filtered out)</span>';
+        return (
+            '<li>' +
+                `<button type="button" class="property-detail-sibling" data-action="sibling" data-name="${escapeHtml(siblingName)}">${escapeHtml(siblingName)}</button>` +
+                hidden +
+            '</li>'
+        );
+    }).join('');
+    return (
+        '<div class="property-detail-siblings">' +
+            `<div class="property-detail-subtitle">Also in grouping ${escapeHtml(grouping)}</div>` +
+            `<ul>${items}</ul>` +
+        '</div>'
+    );
+}
+
+function getName(feature) {
+    return feature && feature.properties ? (feature.properties.name || '') : '';
+}
+
+function compareNames(a, b) {
+    return getName(a).localeCompare(getName(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function formatNumber(value) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num.toLocaleString('en-US', { maximumFractionDigits: 2 }) : String(value);
+}
@@ -0,0 +1,202 @@
+/**
+ * Property table module
+ * Collapsible, sortable list of the currently filtered portfolio features shown
+ * alongside the map. Rows fly to their property; hovering a marker highlights
+ * its row. Rows can optionally be limited to the current map viewport.
+ */
+
+import { escapeHtml } from './html.js';
+
+// Column definitions: key is the GeoJSON property, numeric columns sort as numbers
+const COLUMNS = [
+    { key: 'name', label: 'Name' },
+    { key: 'address', label: 'Address' },
+    { key: 'building_type', label: 'Type' },
+    { key: 'ownership_type', label: 'Ownership' },
+    { key: 'square_footage', label: 'SF', numeric: true },
+    { key: 'land_size', label: 'Acres', numeric: true },
+    { key: 'service_area', label: 'Service Area' }
+];
+
+let panelEl = null;
+let bodyEl = null;
+let countEl = null;
+let mapRef = null;
+let tableOptions = {};
+let tableFeatures = [];
+let sortKey = 'name';
+let sortDirection = 1; // 1 ascending, -1 descending
+let viewportOnly = false;
+let highlightedName = null;
+
+/**
+ * Creates the property table panel
+ * @param {mapboxgl.Map} map
+ * @param {Object} options
+ * @param {Function} options.onSelect - (feature) => void, called when a row is clicked
+ * @returns {HTMLElement} panel element
+ */
+export function initPropertyTable(map, options = {}) {
+    if (panelEl) return panelEl;
+    mapRef = map;
+    tableOptions = options || {};
+
+    panelEl = document.createElement('div');
+    panelEl.id = 'property-table-panel';
+    panelEl.className = 'property-table-panel is-collapsed';
+    panelEl.setAttribute('role', 'region');
+    panelEl.setAttribute('aria-label', 'Property List');
+
+    panelEl.innerHTML = (
+        '<div class="property-table-header">' +
+            '<button type="button" class="property-table-toggle" aria-expanded="false">' +
+                '<span class="property-table-title">Property List</span> ' +
+                '<span class="property-table-count"></span>' +
+            '</button>' +
+            '<wa-switch size="small" class="property-table-viewport">In view only</wa-switch>' +
+        '</div>' +
+        '<div class="property-table-scroll">' +
+            '<table class="property-table">' +
+                `<thead><tr>${COLUMNS.map(col => `<th data-key="${col.key}"${col.numeric ? ' class="num"' : ''} tabindex="0">${col.label}</th>`).join('')}</tr></thead>` +
+                '<tbody></tbody>' +
+            '</table>' +
+        '</div>'
+    );
+
+    const container = document.getElementById('map-container') || document.body;
+    container.appendChild(panelEl);
+
+    bodyEl = panelEl.querySelector('tbody');
+    countEl = panelEl.querySelector('.property-table-count');
+
+    const toggle = panelEl.querySelector('.property-table-toggle');
+    toggle.addEventListener('click', () => {
+        const collapsed = panelEl.classList.toggle('is-collapsed');
+        toggle.setAttribute('aria-expanded', String(!collapsed));
+    });
+
+    // Sort by clicking (or pressing Enter on) a column header; clicking again reverses
+    const headerRow = panelEl.querySelector('thead tr');
+    const sortBy = (th) => {
+        const key = th.getAttribute('data-key');
+        if (key === sortKey) {
+            sortDirection = -sortDirection;
+        } else {
+            sortKey = key;
+            sortDirection = 1;
+        }
+        render();
+    };
+    headerRow.addEventListener('click', (event) => {
+        const th = event.target.closest('th[data-key]');
+        if (th) sortBy(th);
+    });
+    headerRow.addEventListener('keydown', (event) => {
+        const th = event.target.closest('th[data-key]');
+        if (th && event.key === 'Enter') sortBy(th);
+    });
+
+    bodyEl.addEventListener('click', (event) => {
+        const row = event.target.closest('tr[data-name]');
+        if (!row) return;
+        const feature = tableFeatures.find(f => f.properties && f.properties.name === row.getAttribute('data-name'));
+        if (feature && typeof tableOptions.onSelect === 'function') tableOptions.onSelect(feature);
+    });
+
+    const viewportSwitch = panelEl.querySelector('.property-table-viewport');
+    ['wa-change', 'change', 'input', 'sl-change'].forEach(eventType => {
+        viewportSwitch.addEventListener(eventType, () => {
+            viewportOnly = Boolean(viewportSwitch.checked);
+            render();
+        });
+    });
+    // Viewport rows follow the camera
+    map.on('moveend', () => {
+        if (viewportOnly) render();
+    });
+
+    render();
+    return panelEl;
+}
+
+/**
+ * Replaces the table rows with a new set of (filtered) features
+ * @param {Object[]} features - portfolio Point features
+ */
+export function updatePropertyTable(features) {
+    tableFeatures = Array.isArray(features) ? features : [];
+    if (panelEl) render();
+}
+
+/**
+ * Highlights the row of a property (e.g. while its marker is hovered)
+ * @param {string|null} name - portfolio feature `name`, or null to clear
+ */
+export function highlightPropertyRow(name) {
+    highlightedName = name || null;
+    if (!bodyEl) return;
+    Array.from(bodyEl.querySelectorAll('tr.is-highlighted')).forEach(row => row.classList.remove('is-highlighted'));
+    if (!highlightedName) return;
+    const row = Array.from(bodyEl.querySelectorAll('tr[data-name]')).find(r => r.getAttribute('data-name') === highlightedName);
+    if (!row) return;
+    row.classList.add('is-highlighted');
+    if (!panelEl.classList.contains('is-collapsed')) {
+        row.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+function render() {
+    if (!panelEl) return;
+    const visible = viewportOnly ? tableFeatures.filter(isInViewport) : tableFeatures;
+    const rows = visible.slice().sort(compareFeatures);
+
+    countEl.textContent = viewportOnly
+        ? `(${rows.length} of ${tableFeatures.length} in view)`
+        : `(${rows.length})`;
+
+    Array.from(panelEl.querySelectorAll('thead th')).forEach(th => {
+        const active = th.getAttribute('data-key') === sortKey;
+        th.classList.toggle('is-sorted', active);
+        th.setAttribute('aria-sort', active ? (sortDirection === 1 ? 'ascending' : 'descending') : 'none');
+    });
+
+    if (rows.length === 0) {
+        bodyEl.innerHTML = `<tr><td class="empty" colspan="${COLUMNS.length}">No properties match</td></tr>`;
+        return;
+    }
+
+    bodyEl.innerHTML = rows.map(feature => {
+        const p = feature.properties || {};
+        const cells = COLUMNS.map(col => `<td${col.numeric ? ' class="num"' : ''}>${escapeHtml(formatCell(p[col.key], col))}</td>`).join('');
+        return `<tr data-name="${escapeHtml(p.name || '')}">${cells}</tr>`;
+    }).join('');
+
+    if (highlightedName) highlightPropertyRow(highlightedName);
+}
+
+function compareFeatures(a, b) {
+    const col = COLUMNS.find(c => c.key === sortKey) || COLUMNS[0];
+    const va = a.properties ? a.properties[col.key] : null;
+    const vb = b.properties ? b.properties[col.key] : null;
+    const aEmpty = va == null || va === '';
+    const bEmpty = vb == null || vb === '';
+    // Blank values always sort last
+    if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+    if (col.numeric) return (Number(va) - Number(vb)) * sortDirection;
+    return String(va).localeCompare(String(vb), undefined, { numeric: true, sensitivity: 'base' }) * sortDirection;
+}
+
+function isInViewport(feature) {
+    if (!mapRef || !feature.geometry || feature.geometry.type !== 'Point') return false;
+    return mapRef.getBounds().contains(feature.geometry.coordinates);
+}
+
+function formatCell(value, col) {
+    if (value == null || value === '') return '—';
+    if (col.numeric) {
+        const num = Number(value);
+        if (!Number.isFinite(num)) return String(value);
+        return num.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    }
+    return String(value);
+}
@@ -0,0 +1,190 @@
+/**
+ * Range filters module
+ * Dual-handle range sliders (with a small histogram of the data above the
+ * track) used to narrow numeric attributes such as square footage and acres.
+ *
+ * A range is { min, max, includeNull } where a null bound means "open" and
+ * includeNull decides whether features without a numeric value are kept.
+ * Matching itself lives in the filter engine (filters.js).
+ */
+
+import { isRangeActive } from './filters.js';
+import { escapeHtml } from './html.js';
+
+const SLIDER_STEPS = 200;
+const HISTOGRAM_BINS = 24;
+
+/**
+ * Formats a range for headings, e.g. "5,000 – 20,000 SF" or "≥ 2 acres"
+ * @param {Object|null} range
+ * @param {string} unit - unit label appended to the numbers
+ * @returns {string} empty when the range is inactive
+ */
+export function describeRange(range, unit) {
+    if (!isRangeActive(range)) return '';
+    const fmt = (v) => Number(v).toLocaleString(undefined, { maximumFractionDigits: 2 });
+    let text;
+    if (range.min != null && range.max != null) {
+        text = `${fmt(range.min)} – ${fmt(range.max)} ${unit}`;
+    } else if (range.min != null) {
+        text = `≥ ${fmt(range.min)} ${unit}`;
+    } else if (range.max != null) {
+        text = `≤ ${fmt(range.max)} ${unit}`;
+    } else {
+        text = `Any ${unit}`;
+    }
+    return range.includeNull === false ? `${text} (excl. blank)` : text;
+}
+
+/**
+ * Creates a dual-handle range slider with histogram inside a container.
+ * The slider uses a log scale because sizes span several orders of magnitude.
+ * @param {string} containerId - ID of the container element
+ * @param {Object} options
+ * @param {number[]} options.values - all numeric values of the attribute (for domain and histogram)
+ * @param {string} options.unit - unit label (e.g., 'SF', 'acres')
+ * @param {string} options.nullLabel - label for the include-blank switch
+ * @param {Function} options.onChange - (range) => void
+ * @returns {Object|null} controller { getRange(), setRange(range) }
+ */
+export function createRangeFilter(containerId, options = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return null;
+
+    const values = (options.values || []).filter(v => typeof v === 'number' && Number.isFinite(v) && v > 0);
+    if (values.length === 0) {
+        container.textContent = 'No data';
+        return null;
+    }
+
+    const domainMin = Math.min(...values);
+    const domainMax = Math.max(...values);
+    const logMin = Math.log(domainMin);
+    const logMax = Math.log(domainMax);
+    const unit = options.unit || '';
+
+    const toValue = (step) => {
+        if (step <= 0) return domainMin;
+        if (step >= SLIDER_STEPS) return domainMax;
+        return roundNice(Math.exp(logMin + (step / SLIDER_STEPS) * (logMax - logMin)));
+    };
+    const toStep = (value) => {
+        if (value == null) return null;
+        const clamped = Math.min(domainMax, Math.max(domainMin, value));
+        return Math.round(((Math.log(clamped) - logMin) / (logMax - logMin || 1)) * SLIDER_STEPS);
+    };
+
+    container.classList.add('range-filter');
+    container.innerHTML = (
+        `<div class="range-histogram">${buildHistogramBars(values, logMin, logMax)}</div>` +
+        '<div class="range-track">' +
+            `<input type="range" class="range-input range-input-min" min="0" max="${SLIDER_STEPS}" step="1" value="0" aria-label="Minimum ${escapeHtml(unit)}">` +
+            `<input type="range" class="range-input range-input-max" min="0" max="${SLIDER_STEPS}" step="1" value="${SLIDER_STEPS}" aria-label="Maximum ${escapeHtml(unit)}">` +
+        '</div>' +
+        '<div class="range-values">' +
+            '<span class="range-value-min"></span>' +
+            '<span class="range-value-max"></span>' +
+        '</div>'
+    );
+
+    const minInput = container.querySelector('.range-input-min');
+    const maxInput = container.querySelector('.range-input-max');
+    const minLabel = container.querySelector('.range-value-min');
+    const maxLabel = container.querySelector('.range-value-max');
+    const bars = Array.from(container.querySelectorAll('.range-histogram-bar'));
+
+    // Include/exclude switch for features with no value
+    const nullSwitch = document.createElement('wa-switch');
+    nullSwitch.className = 'range-null-switch';
+    nullSwitch.setAttribute('size', 'small');
+    nullSwitch.checked = true;
+    nullSwitch.setAttribute('checked', '');
+    nullSwitch.textContent = options.nullLabel || 'Include properties with no value';
+    container.appendChild(nullSwitch);
+
+    const fmt = (v) => Number(v).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+    const readRange = () => {
+        const minStep = Number(minInput.value);
+        const maxStep = Number(maxInput.value);
+        return {
+            min: minStep <= 0 ? null : toValue(minStep),
+            max: maxStep >= SLIDER_STEPS ? null : toValue(maxStep),
+            includeNull: Boolean(nullSwitch.checked)
+        };
+    };
+
+    const render = () => {
+        const minStep = Number(minInput.value);
+        const maxStep = Number(maxInput.value);
+        minLabel.textContent = `${fmt(toValue(minStep))} ${unit}`;
+        maxLabel.textContent = `${fmt(toValue(maxStep))} ${unit}`;
+        // Dim histogram bars outside the selection
+        bars.forEach((bar, i) => {
+            const binStart = (i / HISTOGRAM_BINS) * SLIDER_STEPS;
+            const binEnd = ((i + 1) / HISTOGRAM_BINS) * SLIDER_STEPS;
+            bar.classList.toggle('is-outside', binEnd < minStep || binStart > maxStep);
+        });
+    };
+
+    const emit = () => {
+        render();
+        if (typeof options.onChange === 'function') options.onChange(readRange());
+    };
+
+    // Keep the handles from crossing
+    minInput.addEventListener('input', () => {
+        if (Number(minInput.value) > Number(maxInput.value)) minInput.value = maxInput.value;
+        render();
+    });
+    maxInput.addEventListener('input', () => {
+        if (Number(maxInput.value) < Number(minInput.value)) maxInput.value = minInput.value;
+        render();
+    });
+    // Filter on release so dragging does not re-cluster on every pixel
+    minInput.addEventListener('change', emit);
+    maxInput.addEventListener('change', emit);
+    ['wa-change', 'change', 'input', 'sl-change'].forEach(eventType => {
+        nullSwitch.addEventListener(eventType, () => {
+            if (typeof options.onChange === 'function') options.onChange(readRange());
+        });
+    });
+
+    render();
+
+    return {
+        getRange: readRange,
+        setRange(range) {
+            const r = range || {};
+            minInput.value = r.min != null ? toStep(r.min) : 0;
+            maxInput.value = r.max != null ? toStep(r.max) : SLIDER_STEPS;
+            nullSwitch.checked = r.includeNull !== false;
+            render();
+        }
+    };
+}
+
+/**
+ * Builds histogram bar markup for values binned on a log scale
+ */
+function buildHistogramBars(values, logMin, logMax) {
+    const counts = new Array(HISTOGRAM_BINS).fill(0);
+    const span = (logMax - logMin) || 1;
+    values.forEach(v => {
+        const idx = Math.min(HISTOGRAM_BINS - 1, Math.floor(((Math.log(v) - logMin) / span) * HISTOGRAM_BINS));
+        counts[Math.max(0, idx)] += 1;
+    });
+    const maxCount = Math.max(...counts, 1);
+    return counts.map(count => {
+        const height = count === 0 ? 0 : Math.max(8, Math.round((count / maxCount) * 100));
+        return `<span class="range-histogram-bar" style="height:${height}%" title="${count}"></span>`;
+    }).join('');
+}
+
+/**
+ * Rounds to two significant figures so slider values read naturally
+ */
+function roundNice(value) {
+    if (!Number.isFinite(value) || value <= 0) return value;
+    return Number(value.toPrecision(2));
+}
@@ -0,0 +1,245 @@
+/**
+ * Saved views module
+ * Stores named views (filter selections, drawn area, service area fill and
+ * camera) in localStorage and renders the list in the drawer where they can be
+ * applied, renamed, deleted, and exported/imported as JSON.
+ *
+ * A saved view is { id, name, savedAt, state } where state has the shape
+ * returned by getCurrentViewState in main.js.
+ */
+
+import { escapeHtml } from './html.js';
+
+const STORAGE_KEY = 'nghs-saved-views';
+const EXPORT_VERSION = 1;
+const EXPORT_FILENAME = 'nghs-saved-views.json';
+
+/**
+ * Reads all saved views from localStorage
+ * @returns {Object[]} saved views, oldest first
+ */
+export function loadSavedViews() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (!raw) return [];
+        return normalizeViews(JSON.parse(raw));
+    } catch (e) {
+        console.warn('Could not read saved views:', e);
+        return [];
+    }
+}
+
+/**
+ * Saves the current state under a name; an existing view with the same name is replaced
+ * @param {string} name
+ * @param {Object} state - view state
+ * @returns {Object[]} updated list
+ */
+export function saveView(name, state) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed || !state) return loadSavedViews();
+    const views = loadSavedViews();
+    const view = { id: createId(), name: trimmed, savedAt: new Date().toISOString(), state };
+    const index = views.findIndex(v => v.name.toLowerCase() === trimmed.toLowerCase());
+    if (index >= 0) {
+        views[index] = { ...view, id: views[index].id };
+    } else {
+        views.push(view);
+    }
+    return persist(views);
+}
+
+/**
+ * Renames a saved view
+ * @param {string} id
+ * @param {string} name
+ * @returns {Object[]} updated list
+ */
+export function renameView(id, name) {
+    const trimmed = String(name || '').trim();
+    const views = loadSavedViews();
+    const view = views.find(v => v.id === id);
+    if (!view || !trimmed) return views;
+    view.name = trimmed;
+    return persist(views);
+}
+
+/**
+ * Deletes a saved view
+ * @param {string} id
+ * @returns {Object[]} updated list
+ */
+export function deleteView(id) {
+    return persist(loadSavedViews().filter(v => v.id !== id));
+}
+
+/**
+ * Serializes all saved views for download
+ * @returns {string} JSON text
+ */
+export function exportSavedViews() {
+    return JSON.stringify({ version: EXPORT_VERSION, views: loadSavedViews() }, null, 2);
+}
+
+/**
+ * Merges views from exported JSON into the saved list. Imported views with a
+ * name that already exists replace the saved one.
+ * @param {string} jsonText - text produced by exportSavedViews (a bare array is accepted too)
+ * @returns {number} number of views imported
+ * @throws {Error} when the text is not a saved views export
+ */
+export function importSavedViews(jsonText) {
+    const parsed = JSON.parse(jsonText);
+    const incoming = normalizeViews(Array.isArray(parsed) ? parsed : (parsed && parsed.views));
+    if (incoming.length === 0) {
+        throw new Error('No saved views found in file');
+    }
+    const views = loadSavedViews();
+    incoming.forEach(view => {
+        const index = views.findIndex(v => v.name.toLowerCase() === view.name.toLowerCase());
+        if (index >= 0) {
+            views[index] = { ...view, id: views[index].id };
+        } else {
+            views.push({ ...view, id: views.some(v => v.id === view.id) ? createId() : view.id });
+        }
+    });
+    persist(views);
+    return incoming.length;
+}
+
+/**
+ * Wires the saved views section of the drawer
+ * @param {Object} options
+ * @param {Function} options.getState - () => current view state
+ * @param {Function} options.applyState - (state) => void, applies a saved state
+ */
+export function initializeSavedViews(options = {}) {
+    const listEl = document.getElementById('saved-views-list');
+    const saveButton = document.getElementById('save-view');
+    const exportButton = document.getElementById('export-views');
+    const importButton = document.getElementById('import-views');
+    const importInput = document.getElementById('import-views-file');
+    if (!listEl) return;
+
+    const render = (views) => renderList(listEl, views);
+
+    if (saveButton) {
+        saveButton.addEventListener('click', () => {
+            const name = window.prompt('Name this view:');
+            if (name == null || !name.trim()) return;
+            const exists = loadSavedViews().some(v => v.name.toLowerCase() === name.trim().toLowerCase());
+            if (exists && !window.confirm(`Replace the saved view "${name.trim()}"?`)) return;
+            render(saveView(name, options.getState()));
+        });
+    }
+
+    // One delegated handler for apply / rename / delete
+    listEl.addEventListener('click', (event) => {
+        const target = event.target.closest('[data-action]');
+        if (!target) return;
+        const id = target.getAttribute('data-id');
+        const view = loadSavedViews().find(v => v.id === id);
+        if (!view) return;
+        const action = target.getAttribute('data-action');
+        if (action === 'apply') {
+            options.applyState(view.state);
+        } else if (action === 'rename') {
+            const name = window.prompt('Rename view:', view.name);
+            if (name == null || !name.trim()) return;
+            render(renameView(id, name));
+        } else if (action === 'delete') {
+            if (!window.confirm(`Delete the saved view "${view.name}"?`)) return;
+            render(deleteView(id));
+        }
+    });
+
+    if (exportButton) {
+        exportButton.addEventListener('click', () => {
+            if (loadSavedViews().length === 0) {
+                window.alert('There are no saved views to export.');
+                return;
+            }
+            downloadText(exportSavedViews(), EXPORT_FILENAME, 'application/json');
+        });
+    }
+
+    if (importButton && importInput) {
+        importButton.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files && importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+            try {
+                const count = importSavedViews(await file.text());
+                render(loadSavedViews());
+                console.log(`Imported ${count} saved view(s)`);
+            } catch (e) {
+                console.error('Failed to import saved views:', e);
+                window.alert('That file does not contain saved views.');
+            }
+        });
+    }
+
+    render(loadSavedViews());
+    console.log('Saved views initialized');
+}
+
+function renderList(listEl, views) {
+    if (!views.length) {
+        listEl.innerHTML = '<div class="saved-views-empty">No saved views yet.</div>';
+        return;
+    }
+    listEl.innerHTML = views.map(view => {
+        const id = escapeHtml(view.id);
+        const name = escapeHtml(view.name);
+        return (
+            '<div class="saved-view">' +
+                `<button type="button" class="saved-view-name" data-action="apply" data-id="${id}" title="Apply ${name}">${name}</button>` +
+                `<wa-button size="small" appearance="plain" data-action="rename" data-id="${id}" title="Rename">` +
+                    '<wa-icon name="pen" label="Rename"></wa-icon>' +
+                '</wa-button>' +
+                `<wa-button size="small" appearance="plain" data-action="delete" data-id="${id}" title="Delete">` +
+                    '<wa-icon name="trash" label="Delete"></wa-icon>' +
+                '</wa-button>' +
+            '</div>'
+        );
+    }).join('');
+}
+
+// Keeps only well-formed views so a bad import or old entry cannot break the list
+function normalizeViews(views) {
+    if (!Array.isArray(views)) return [];
+    return views
+        .filter(v => v && typeof v.name === 'string' && v.name.trim() && v.state && typeof v.state === 'object')
+        .map(v => ({
+            id: typeof v.id === 'string' && v.id ? v.id : createId(),
+            name: v.name.trim(),
+            savedAt: typeof v.savedAt === 'string' ? v.savedAt : null,
+            state: v.state
+        }));
+}
+
+function persist(views) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+    } catch (e) {
+        console.warn('Could not save views:', e);
+    }
+    return views;
+}
+
+function createId() {
+    return `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function downloadText(text, filename, mimeType) {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
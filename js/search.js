@@ -0,0 +1,217 @@
+/**
+ * Property search module
+ * Wires the mapbox-gl-geocoder control to a local, in-memory search over the
+ * loaded portfolio features (no Mapbox Geocoding API requests are made).
+ */
+
+import { escapeHtml } from './html.js';
+
+// Searchable fields and their relative weight in the ranking
+const SEARCH_FIELDS = [
+    { key: 'name', weight: 1.0 },
+    { key: 'address', weight: 0.9 },
+    { key: 'parcel_id', weight: 0.8 },
+    { key: 'building_type', weight: 0.6 }
+];
+
+const MAX_RESULTS = 8;
+
+/**
+ * Builds a search index from portfolio features.
+ * Field values are normalized once so each keystroke only scores strings.
+ * @param {Object[]} features - GeoJSON Point features
+ * @returns {Object[]} index entries { feature, fields: { key: { text, words } } }
+ */
+export function buildSearchIndex(features) {
+    if (!Array.isArray(features)) return [];
+    return features
+        .filter(f => f && f.properties && f.geometry && f.geometry.type === 'Point')
+        .map(feature => {
+            const fields = {};
+            SEARCH_FIELDS.forEach(({ key }) => {
+                const text = normalize(feature.properties[key]);
+                fields[key] = { text, words: text ? text.split(' ') : [] };
+            });
+            return { feature, fields };
+        });
+}
+
+/**
+ * Searches the index with prefix and fuzzy matching.
+ * Every query token must match at least one field; results are ranked by score.
+ * @param {Object[]} index - Output of buildSearchIndex
+ * @param {string} query - User input
+ * @param {number} limit - Maximum number of results
+ * @returns {{feature: Object, score: number}[]} ranked matches
+ */
+export function searchPortfolio(index, query, limit = MAX_RESULTS) {
+    const normalizedQuery = normalize(query);
+    if (!normalizedQuery || !Array.isArray(index)) return [];
+    const tokens = normalizedQuery.split(' ');
+
+    const results = [];
+    index.forEach(entry => {
+        let total = 0;
+        for (const token of tokens) {
+            let best = 0;
+            SEARCH_FIELDS.forEach(({ key, weight }) => {
+                const score = scoreToken(token, entry.fields[key], key === 'parcel_id') * weight;
+                if (score > best) best = score;
+            });
+            // All tokens must match somewhere
+            if (best === 0) return;
+            total += best;
+        }
+        // Bonus when the whole query is a prefix of the name
+        if (entry.fields.name.text.startsWith(normalizedQuery)) total += 25;
+        results.push({ feature: entry.feature, score: total });
+    });
+
+    results.sort((a, b) => b.score - a.score ||
+        String(a.feature.properties.name || '').localeCompare(String(b.feature.properties.name || '')));
+    return results.slice(0, limit);
+}
+
+/**
+ * Adds the property search control to #geocoder-container.
+ * @param {mapboxgl.Map} map - Mapbox map instance
+ * @param {Object} options
+ * @param {Function} options.getIndex - Returns the current search index
+ * @param {Function} options.isVisible - (feature) => boolean, whether the active filters show the feature
+ * @param {Function} options.onSelect - (feature) => void, called with the picked feature
+ * @param {string} containerId - ID of the container element
+ * @returns {MapboxGeocoder|null} the geocoder control
+ */
+export function initializePropertySearch(map, options = {}, containerId = 'geocoder-container') {
+    const container = document.getElementById(containerId);
+    if (!container || typeof MapboxGeocoder !== 'function') {
+        console.warn('Property search unavailable: geocoder plugin or container missing');
+        return null;
+    }
+
+    const { getIndex, isVisible, onSelect } = options;
+
+    const geocoder = new MapboxGeocoder({
+        accessToken: mapboxgl.accessToken,
+        mapboxgl,
+        localGeocoder: (query) => {
+            const index = typeof getIndex === 'function' ? getIndex() : [];
+            return searchPortfolio(index, query).map(({ feature }) =>
+                toGeocoderResult(feature, typeof isVisible === 'function' ? isVisible(feature) : true)
+            );
+        },
+        localGeocoderOnly: true,
+        limit: MAX_RESULTS,
+        minLength: 1,
+        placeholder: 'Search properties',
+        // We fly and open the popup ourselves so the marker and default zoom are disabled
+        flyTo: false,
+        marker: false,
+        render: renderResult
+    });
+
+    container.appendChild(geocoder.onAdd(map));
+
+    geocoder.on('result', (e) => {
+        const result = e && e.result;
+        const feature = result && result.properties ? result.properties.__feature : null;
+        if (feature && typeof onSelect === 'function') {
+            onSelect(feature);
+        }
+    });
+
+    console.log('Property search initialized');
+    return geocoder;
+}
+
+/**
+ * Converts a portfolio feature into the extended GeoJSON result the geocoder expects
+ */
+function toGeocoderResult(feature, visible) {
+    const props = feature.properties || {};
+    return {
+        type: 'Feature',
+        id: `portfolio.${props.name}`,
+        text: props.name || 'Unknown',
+        place_name: props.name || 'Unknown',
+        place_type: ['poi'],
+        center: feature.geometry.coordinates.slice(),
+        geometry: { type: 'Point', coordinates: feature.geometry.coordinates.slice() },
+        properties: {
+            address: props.address || '',
+            building_type: props.building_type || '',
+            hidden: !visible,
+            // Keep a reference to the source feature for the result handler
+            __feature: feature
+        }
+    };
+}
+
+function renderResult(item) {
+    const props = item.properties || {};
+    const hiddenTag = props.hidden
+        ? '<span class="search-result-hidden">Hidden by filters</span>'
+        : '';
+    return (
+        '<div class="search-result">' +
+            `<div class="search-result-title">${escapeHtml(item.text)}${hiddenTag}</div>` +
+            `<div class="search-result-detail">${escapeHtml(props.address)}${props.address && props.building_type ? ' · ' : ''}${escapeHtml(props.building_type)}</div>` +
+        '</div>'
+    );
+}
+
+/**
+ * Scores a single query token against a field.
+ * Exact word > word prefix > substring > one-typo fuzzy match.
+ * @param {string} token - normalized query token
+ * @param {{text: string, words: string[]}} field - normalized field
+ * @param {boolean} prefixOnly - only allow prefix matches (identifiers)
+ * @returns {number} 0 when the token does not match
+ */
+function scoreToken(token, field, prefixOnly) {
+    if (!field || !field.text) return 0;
+    if (prefixOnly) {
+        return field.text.startsWith(token) ? 90 : 0;
+    }
+    if (field.words.includes(token)) return 100;
+    if (field.words.some(w => w.startsWith(token))) return 80;
+    if (token.length >= 3 && field.text.includes(token)) return 50;
+    // Fuzzy: allow one edit for short tokens, two for longer ones
+    if (token.length >= 4) {
+        const maxEdits = token.length >= 7 ? 2 : 1;
+        // Compare against the whole word and against its prefix (typo while still typing)
+        const fuzzy = field.words.some(w =>
+            editDistance(token, w) <= maxEdits ||
+            editDistance(token, w.slice(0, token.length)) <= maxEdits
+        );
+        if (fuzzy) return 30;
+    }
+    return 0;
+}
+
+/**
+ * Levenshtein distance between two short strings
+ */
+function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+function normalize(value) {
+    if (value == null) return '';
+    return String(value)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
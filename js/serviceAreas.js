@@ -1,10 +1,8 @@
 /**
  * Service Areas module
- * Handles loading and display of service area boundaries and labels
+ * Handles display of service area boundaries and labels (the data is loaded in main.js)
  */
 
-import { loadGeoJSON } from './dataLoader.js';
-
 // Color scheme for different service areas
 export const SERVICE_AREA_COLORS = {
     'Habersham': '#6d98ad',      
@@ -173,36 +171,3 @@ export function setServiceAreaFill(map, showFill) {
         map.setPaintProperty('service-areas-fill-outline', 'line-dasharray', showFill ? null : [1, 2]);
     }
 }
-
-/**
- * Loads and adds all service area data to the map
- * @param {mapboxgl.Map} map - Mapbox map instance
- * @returns {Promise<void>}
- */
-export async function initializeServiceAreas(map) {
-    try {
-        console.log('Loading service areas...');
-
-        // Load service area polygons
-        const serviceAreasData = await loadGeoJSON('data/service-areas.geojson');
-
-        // Load service area labels
-        const labelsData = await loadGeoJSON('data/service-areas-labels.geojson');
-
-        // Add the polygon layer (below portfolio points)
-        addServiceAreaLayer(map, serviceAreasData);
-
-        // Add the labels layer (below portfolio points)
-        addServiceAreaLabels(map, labelsData);
-
-        // Mask layer disabled for evaluation
-        // addServiceAreaMaskLayer(map, maskData);
-
-        console.log('Service areas initialized successfully');
-
-    } catch (error) {
-        console.error('Error initializing service areas:', error);
-        throw error;
-    }
-}
-
@@ -4,6 +4,9 @@
  */
 
 import { SERVICE_AREA_COLORS } from './serviceAreas.js';
+import { describeRange } from './rangeFilters.js';
+import { ALL_PROPERTY_TYPES, compileFilterPredicate, isSpatialFilterActive, getServiceAreaField } from './filters.js';
+import { escapeHtml } from './html.js';
 
 let panelEl = null;
 let kpiEl = null;
@@ -63,6 +66,7 @@ function getEmptyPanelMarkup() {
                     '<tr><td colspan="2" class="empty">No data</td></tr>' +
                 '</tbody>' +
             '</table>' +
+            '<div class="stats-note" id="stats-for-sale-note"></div>' +
             '<hr id="divider-size-total" class="stats-divider" />' +
             '<table id="table-size-total" class="stats-table stats-size-table" aria-describedby="summary-description">' +
                 '<thead>' +
@@ -103,14 +107,14 @@ function getEmptyPanelMarkup() {
 /**
  * Updates the stats panel based on current selections
  * @param {Object} portfolioData - GeoJSON FeatureCollection
- * @param {Object} selections - { selectedOwnership, selectedPropertyType, selectedServiceAreas, showLongstreet }
+ * @param {Object} selections - filter spec { selectedOwnership, selectedPropertyTypes, selectedServiceAreas, serviceAreaSource, showLongstreet, selectedForSale, squareFootageRange, landSizeRange, spatialFilter }
  */
 export function updateStatsPanel(portfolioData, selections) {
     if (!panelEl) initStatsPanel();
     if (!portfolioData || !portfolioData.features) return;
 
-    const { selectedOwnership, selectedPropertyTypes, selectedServiceAreas, showLongstreet = true } = selections || {};
-    const allPropertyTypesCount = 7; // Medical Office, Hospital, Land, Office, Vacant Building, Multi-Family, Other
+    const { selectedPropertyTypes, selectedServiceAreas, selectedForSale = 'all', squareFootageRange = null, landSizeRange = null, spatialFilter = null } = selections || {};
+    const allPropertyTypesCount = ALL_PROPERTY_TYPES.length;
 
     // Update main heading based on selected property type
     try {
@@ -122,6 +126,22 @@ export function updateStatsPanel(portfolioData, selections) {
                 : selectedPropertyTypes.length === 1 ? `${selectedPropertyTypes[0]} Properties`
                 : 'Selected Properties';
             titleEl.textContent = heading;
+
+            // Second heading line listing any active size ranges and the drawn area
+            const rangeText = [
+                describeRange(squareFootageRange, 'SF'),
+                describeRange(landSizeRange, 'acres'),
+                isSpatialFilterActive(spatialFilter) ? 'Inside drawn area' : '',
+                getServiceAreaField(selections) === 'derived_service_area' ? 'Service areas by location' : ''
+            ]
+                .filter(Boolean)
+                .join(' · ');
+            if (rangeText) {
+                const rangeEl = document.createElement('div');
+                rangeEl.className = 'stats-range-note';
+                rangeEl.textContent = rangeText;
+                titleEl.appendChild(rangeEl);
+            }
         }
     } catch (_) {
         // non-fatal
@@ -130,64 +150,18 @@ export function updateStatsPanel(portfolioData, selections) {
     // Show/hide sections based on selected property type
     updateSectionVisibility(selectedPropertyTypes, allPropertyTypesCount);
 
-    const features = portfolioData.features.filter(f => filterFeature(f, selectedOwnership, selectedPropertyTypes, selectedServiceAreas, showLongstreet));
+    // Same filter engine as the map so counts always match the visible points
+    const features = portfolioData.features.filter(compileFilterPredicate(selections));
 
-    // Build counts per selected service area (preserve selection order)
-    const rows = (selectedServiceAreas || []).map(area => {
-        const count = features.reduce((acc, f) => acc + (getServiceArea(f) === area ? 1 : 0), 0);
-        return { area, count };
-    });
+    // Per-area counts, SF and acres (preserve selection order)
+    const areaStats = computeServiceAreaStats(features, selectedServiceAreas, getServiceAreaField(selections));
 
     const showTotal = Array.isArray(selectedServiceAreas) && selectedServiceAreas.length > 1;
-    renderRows(rows, showTotal);
-
-    // Build size stats per selected service area
-    const sizeRows = (selectedServiceAreas || []).map(area => {
-        const areaFeatures = features.filter(f => getServiceArea(f) === area);
-        const numericSfs = areaFeatures
-            .map(f => f && f.properties ? f.properties.square_footage : null)
-            .filter(v => typeof v === 'number' && isFinite(v));
-        const totalSf = numericSfs.reduce((sum, v) => sum + v, 0);
-        const avgSf = numericSfs.length > 0 ? (totalSf / numericSfs.length) : null;
-        return { area, totalSf, avgSf, countWithSf: numericSfs.length };
-    });
-    renderSizeTotalRows(sizeRows, showTotal);
-    renderSizeAvgRows(sizeRows);
-
-    // Build land size (acres) per selected service area using grouping logic
-    const acresRows = (selectedServiceAreas || []).map(area => {
-        const areaFeatures = features.filter(f => getServiceArea(f) === area);
-        // Sum of non-grouped properties (grouping is missing or 'None')
-        const standaloneAcres = areaFeatures.reduce((sum, f) => {
-            const p = f && f.properties ? f.properties : {};
-            const grouping = p.grouping;
-            const acres = p.land_size;
-            const isStandalone = !grouping || grouping === 'None';
-            if (isStandalone && typeof acres === 'number' && isFinite(acres)) {
-                return sum + acres;
-            }
-            return sum;
-        }, 0);
-
-        // For grouped properties: take each group's acreage once (use max numeric for safety)
-        const groupingToMaxAcres = new Map();
-        areaFeatures.forEach(f => {
-            const p = f && f.properties ? f.properties : {};
-            const grouping = p.grouping;
-            const acres = p.land_size;
-            if (grouping && grouping !== 'None' && typeof acres === 'number' && isFinite(acres)) {
-                const prev = groupingToMaxAcres.get(grouping);
-                if (prev === undefined || acres > prev) {
-                    groupingToMaxAcres.set(grouping, acres);
-                }
-            }
-        });
-        const groupedAcres = Array.from(groupingToMaxAcres.values()).reduce((a, b) => a + b, 0);
-
-        const totalAcres = standaloneAcres + groupedAcres;
-        return { area, totalAcres };
-    });
-    renderAcresRows(acresRows, showTotal);
+    renderRows(areaStats, showTotal);
+    renderForSaleNote(features, selectedForSale);
+    renderSizeTotalRows(areaStats, showTotal);
+    renderSizeAvgRows(areaStats);
+    renderAcresRows(areaStats, showTotal);
 
     // --- KPI updates for mobile view ---
     try {
@@ -204,31 +178,7 @@ export function updateStatsPanel(portfolioData, selections) {
         if (secondaryTitleEl && secondaryValueEl) {
             if (Array.isArray(selectedPropertyTypes) && selectedPropertyTypes.length === 1 && selectedPropertyTypes[0] === 'Land') {
                 // Compute acreage without double counting grouped properties
-                const standaloneAcres = features.reduce((sum, f) => {
-                    const p = f && f.properties ? f.properties : {};
-                    const grouping = p.grouping;
-                    const acres = p.land_size;
-                    const isStandalone = !grouping || grouping === 'None';
-                    if (isStandalone && typeof acres === 'number' && isFinite(acres)) {
-                        return sum + acres;
-                    }
-                    return sum;
-                }, 0);
-
-                const groupingToMaxAcres = new Map();
-                features.forEach(f => {
-                    const p = f && f.properties ? f.properties : {};
-                    const grouping = p.grouping;
-                    const acres = p.land_size;
-                    if (grouping && grouping !== 'None' && typeof acres === 'number' && isFinite(acres)) {
-                        const prev = groupingToMaxAcres.get(grouping);
-                        if (prev === undefined || acres > prev) {
-                            groupingToMaxAcres.set(grouping, acres);
-                        }
-                    }
-                });
-                const groupedAcres = Array.from(groupingToMaxAcres.values()).reduce((a, b) => a + b, 0);
-                const totalAcres = standaloneAcres + groupedAcres;
+                const totalAcres = sumGroupedAcres(features);
 
                 secondaryTitleEl.textContent = 'Total Acreage';
                 secondaryValueEl.textContent = formatAcreage(totalAcres);
@@ -248,6 +198,66 @@ export function updateStatsPanel(portfolioData, selections) {
     }
 }
 
+/**
+ * Aggregates filtered features per service area, exactly as the panel shows them
+ * @param {Object[]} features - filtered portfolio features
+ * @param {string[]} serviceAreas - areas to report, in display order
+ * @param {string} field - property assigning the area ('service_area' or 'derived_service_area')
+ * @returns {Object[]} rows { area, count, totalSf, avgSf, countWithSf, totalAcres }
+ */
+export function computeServiceAreaStats(features, serviceAreas, field = 'service_area') {
+    return (serviceAreas || []).map(area => {
+        const areaFeatures = (features || []).filter(f => getServiceArea(f, field) === area);
+        const numericSfs = areaFeatures
+            .map(f => f && f.properties ? f.properties.square_footage : null)
+            .filter(v => typeof v === 'number' && isFinite(v));
+        const totalSf = numericSfs.reduce((sum, v) => sum + v, 0);
+        const avgSf = numericSfs.length > 0 ? (totalSf / numericSfs.length) : null;
+        return {
+            area,
+            count: areaFeatures.length,
+            totalSf,
+            avgSf,
+            countWithSf: numericSfs.length,
+            totalAcres: sumGroupedAcres(areaFeatures)
+        };
+    });
+}
+
+/**
+ * Sums land_size using grouping logic: standalone properties (grouping missing
+ * or 'None') add their own acres; each group's acreage is counted once (max
+ * numeric value, for safety).
+ */
+function sumGroupedAcres(features) {
+    const standaloneAcres = features.reduce((sum, f) => {
+        const p = f && f.properties ? f.properties : {};
+        const grouping = p.grouping;
+        const acres = p.land_size;
+        const isStandalone = !grouping || grouping === 'None';
+        if (isStandalone && typeof acres === 'number' && isFinite(acres)) {
+            return sum + acres;
+        }
+        return sum;
+    }, 0);
+
+    const groupingToMaxAcres = new Map();
+    features.forEach(f => {
+        const p = f && f.properties ? f.properties : {};
+        const grouping = p.grouping;
+        const acres = p.land_size;
+        if (grouping && grouping !== 'None' && typeof acres === 'number' && isFinite(acres)) {
+            const prev = groupingToMaxAcres.get(grouping);
+            if (prev === undefined || acres > prev) {
+                groupingToMaxAcres.set(grouping, acres);
+            }
+        }
+    });
+    const groupedAcres = Array.from(groupingToMaxAcres.values()).reduce((a, b) => a + b, 0);
+
+    return standaloneAcres + groupedAcres;
+}
+
 function updateSectionVisibility(selectedPropertyTypes, allPropertyTypesCount) {
     const isLandOnly = Array.isArray(selectedPropertyTypes) && selectedPropertyTypes.length === 1 && selectedPropertyTypes[0] === 'Land';
     const isAll = Array.isArray(selectedPropertyTypes) && selectedPropertyTypes.length === allPropertyTypesCount;
@@ -276,45 +286,25 @@ function setDisplay(element, show) {
     }
 }
 
-function getServiceArea(feature) {
-    return feature && feature.properties ? (feature.properties.service_area || feature.properties.label || '') : '';
+function getServiceArea(feature, field = 'service_area') {
+    return feature && feature.properties ? (feature.properties[field] || feature.properties.label || '') : '';
 }
 
-function filterFeature(feature, selectedOwnership, selectedPropertyTypes, selectedServiceAreas, showLongstreet) {
-    if (!feature || !feature.properties) return false;
-    const p = feature.properties;
-
-    // Ownership filter
-    if (selectedOwnership && selectedOwnership !== 'all') {
-        if (p.ownership_type !== selectedOwnership) return false;
-    }
-
-    // Property type filter
-    const allPropertyTypesCount = 7;
-    if (!selectedPropertyTypes || selectedPropertyTypes.length === 0) return false;
-    if (selectedPropertyTypes.length < allPropertyTypesCount) {
-        const bt = String(p.building_type || '');
-        const explicitCategories = ['Hospital', 'Land', 'Office', 'Vacant Building', 'Multi-Family'];
-        const matches = selectedPropertyTypes.some(type => {
-            if (type === 'Medical Office') return bt.startsWith('Medical Office');
-            if (type === 'Other') return !explicitCategories.includes(bt) && !bt.startsWith('Medical Office');
-            return bt === type;
-        });
-        if (!matches) return false;
-    }
-
-    // Service area filter
-    if (Array.isArray(selectedServiceAreas) && selectedServiceAreas.length > 0) {
-        const area = getServiceArea(feature);
-        if (!selectedServiceAreas.includes(area)) return false;
-    }
-
-    // Longstreet toggle filter: when disabled, exclude longstreet === 'Yes'
-    if (showLongstreet === false) {
-        if (p.longstreet === 'Yes') return false;
+/**
+ * Shows how many of the filtered properties are listed for sale
+ * (hidden when none are, or when the for-sale filter already says so)
+ */
+function renderForSaleNote(features, selectedForSale) {
+    const noteEl = panelEl.querySelector('#stats-for-sale-note');
+    if (!noteEl) return;
+    const forSaleCount = features.reduce((acc, f) => acc + (f.properties && f.properties.listed_for_sale === 'Yes' ? 1 : 0), 0);
+    if (forSaleCount === 0 || selectedForSale === 'Yes') {
+        noteEl.textContent = '';
+        noteEl.style.display = 'none';
+        return;
     }
-
-    return true;
+    noteEl.textContent = `${forSaleCount.toLocaleString()} listed for sale`;
+    noteEl.style.display = '';
 }
 
 function renderRows(rows, showTotal) {
@@ -451,14 +441,3 @@ function formatNumber(value) {
         return String(value);
     }
 }
-
-function escapeHtml(str) {
-    return String(str)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
-}
-
-
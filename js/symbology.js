@@ -0,0 +1,144 @@
+/**
+ * Marker symbology module
+ * Paint and layout for unclustered portfolio points. The default 'logo' mode
+ * draws the NGHS logo on a white circle; the data-driven modes pick the icon
+ * from the property type, the fill color from the "color by" attribute and the
+ * ring from the ownership type. Properties listed for sale keep their red ring
+ * in every mode.
+ */
+
+import { ALL_PROPERTY_TYPES, propertyTypeCategoryExpression } from './filters.js';
+
+// Ring/badge color for properties listed for sale
+export const FOR_SALE_COLOR = '#c62828';
+
+export const SYMBOLOGY_MODES = ['logo', 'building_type', 'ownership_type'];
+
+// Fill color and icon glyph per property type category (ALL_PROPERTY_TYPES)
+export const PROPERTY_TYPE_STYLES = {
+    'Medical Office': { color: '#1565c0', glyph: 'MO' },
+    'Hospital': { color: '#6a1b9a', glyph: 'H' },
+    'Land': { color: '#2e7d32', glyph: 'L' },
+    'Office': { color: '#00838f', glyph: 'O' },
+    'Vacant Building': { color: '#8d6e63', glyph: 'V' },
+    'Multi-Family': { color: '#ef6c00', glyph: 'MF' },
+    'Other': { color: '#616161', glyph: '•' }
+};
+
+// Fill color (when coloring by ownership) and ring per ownership type
+export const OWNERSHIP_STYLES = {
+    'Owned': { color: '#1565c0', strokeColor: '#222222', strokeWidth: 3 },
+    'Leased': { color: '#ef6c00', strokeColor: '#ffffff', strokeWidth: 2 }
+};
+
+const TYPE_ICON_PREFIX = 'nghs-type-';
+const ICON_PIXEL_RATIO = 2;
+const ICON_SIZE = 24; // CSS pixels
+
+/**
+ * Returns the map image name of the icon for a property type category
+ * @param {string} category - one of ALL_PROPERTY_TYPES
+ * @returns {string}
+ */
+export function getTypeIconName(category) {
+    return TYPE_ICON_PREFIX + String(category).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+/**
+ * Adds the property type icons to the map style if they are missing.
+ * Icons are drawn on a canvas so they do not depend on the basemap sprite.
+ * @param {mapboxgl.Map} map
+ */
+export function ensureTypeIcons(map) {
+    ALL_PROPERTY_TYPES.forEach(category => {
+        const name = getTypeIconName(category);
+        if (map.hasImage(name)) return;
+        try {
+            map.addImage(name, drawGlyphIcon(PROPERTY_TYPE_STYLES[category].glyph), { pixelRatio: ICON_PIXEL_RATIO });
+        } catch (e) {
+            console.warn(`Could not add icon '${name}':`, e);
+        }
+    });
+}
+
+/**
+ * Builds the paint/layout for the unclustered point layers in a symbology mode
+ * @param {string} mode - one of SYMBOLOGY_MODES
+ * @param {string} logoIconName - map image name of the NGHS logo
+ * @returns {Object} { background: { paint }, icon: { layout } } for
+ *   'portfolio-points-background' and 'portfolio-points'
+ */
+export function getPortfolioPointStyle(mode, logoIconName) {
+    const forSale = ['==', ['get', 'listed_for_sale'], 'Yes'];
+
+    if (!SYMBOLOGY_MODES.includes(mode) || mode === 'logo') {
+        return {
+            background: {
+                paint: {
+                    'circle-radius': 23,
+                    'circle-color': '#ffffff',
+                    'circle-stroke-width': ['case', forSale, 4.5, 2.5],
+                    'circle-stroke-color': ['case', forSale, FOR_SALE_COLOR, '#333333'],
+                    'circle-opacity': 0.8
+                }
+            },
+            icon: {
+                layout: {
+                    'icon-image': logoIconName,
+                    'icon-size': 0.1,
+                    'icon-allow-overlap': true
+                }
+            }
+        };
+    }
+
+    const category = propertyTypeCategoryExpression();
+    const ownership = ['get', 'ownership_type'];
+    const fillColor = mode === 'ownership_type'
+        ? ['match', ownership, ...matchPairs(OWNERSHIP_STYLES, 'color'), '#9e9e9e']
+        : ['match', category, ...matchPairs(PROPERTY_TYPE_STYLES, 'color'), PROPERTY_TYPE_STYLES.Other.color];
+
+    return {
+        background: {
+            paint: {
+                'circle-radius': 23,
+                'circle-color': fillColor,
+                'circle-stroke-width': ['case', forSale, 4.5,
+                    ['match', ownership, ...matchPairs(OWNERSHIP_STYLES, 'strokeWidth'), 2]],
+                'circle-stroke-color': ['case', forSale, FOR_SALE_COLOR,
+                    ['match', ownership, ...matchPairs(OWNERSHIP_STYLES, 'strokeColor'), '#333333']],
+                'circle-opacity': 0.9
+            }
+        },
+        icon: {
+            layout: {
+                'icon-image': ['match', category,
+                    ...ALL_PROPERTY_TYPES.flatMap(type => [type, getTypeIconName(type)]),
+                    getTypeIconName('Other')],
+                'icon-size': 1,
+                'icon-allow-overlap': true
+            }
+        }
+    };
+}
+
+// ['match'] label/output pairs from a style table, e.g. ['Owned', '#1565c0', 'Leased', '#ef6c00']
+function matchPairs(styles, key) {
+    return Object.keys(styles).flatMap(label => [label, styles[label][key]]);
+}
+
+// White bold glyph on a transparent square, returned as ImageData for map.addImage
+function drawGlyphIcon(glyph) {
+    const size = ICON_SIZE * ICON_PIXEL_RATIO;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const fontSize = glyph.length > 1 ? size * 0.55 : size * 0.75;
+    ctx.font = `bold ${fontSize}px "Segoe UI", Arial, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(glyph, size / 2, size / 2 + 1);
+    return ctx.getImageData(0, 0, size, size);
+}
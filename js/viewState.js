@@ -0,0 +1,333 @@
+/**
+ * View state module
+ * Serializes the filter selections, drawn area shapes, service area fill toggle,
+ * marker symbology, map mode (clusters or heatmap with its settings), basemap,
+ * map camera and open property to and from the page URL so a view can be shared as a link.
+ */
+
+// URL query parameter names (kept short but readable in shared links)
+const PARAM_OWNERSHIP = 'ownership';
+const PARAM_PROPERTY_TYPES = 'types';
+const PARAM_SERVICE_AREAS = 'areas';
+const PARAM_SERVICE_AREA_SOURCE = 'areasby';
+const PARAM_LONGSTREET = 'longstreet';
+const PARAM_FOR_SALE = 'forsale';
+const PARAM_SQUARE_FOOTAGE = 'sf';
+const PARAM_LAND_SIZE = 'acres';
+const PARAM_SHAPES = 'shapes';
+const PARAM_FILL = 'fill';
+const PARAM_SYMBOLOGY = 'symbols';
+const PARAM_MAP_MODE = 'mode';
+const PARAM_HEATMAP = 'heat';
+const PARAM_BASEMAP = 'basemap';
+const PARAM_CENTER = 'center';
+const PARAM_ZOOM = 'zoom';
+const PARAM_PROPERTY = 'property';
+
+const ALL_PARAMS = [
+    PARAM_OWNERSHIP,
+    PARAM_PROPERTY_TYPES,
+    PARAM_SERVICE_AREAS,
+    PARAM_SERVICE_AREA_SOURCE,
+    PARAM_LONGSTREET,
+    PARAM_FOR_SALE,
+    PARAM_SQUARE_FOOTAGE,
+    PARAM_LAND_SIZE,
+    PARAM_SHAPES,
+    PARAM_FILL,
+    PARAM_SYMBOLOGY,
+    PARAM_MAP_MODE,
+    PARAM_HEATMAP,
+    PARAM_BASEMAP,
+    PARAM_CENTER,
+    PARAM_ZOOM,
+    PARAM_PROPERTY
+];
+
+/**
+ * Reads a view state from a URL query string.
+ * Only keys present in the URL are set on the returned object; callers keep
+ * their defaults for everything else.
+ * @param {string} search - Query string (defaults to the current page URL)
+ * @returns {Object|null} Partial view state, or null when the URL has none
+ */
+export function readViewStateFromUrl(search = window.location.search) {
+    let params;
+    try {
+        params = new URLSearchParams(search);
+    } catch (e) {
+        console.warn('Could not parse view state from URL:', e);
+        return null;
+    }
+
+    if (!ALL_PARAMS.some(name => params.has(name))) return null;
+
+    const state = {};
+
+    if (params.has(PARAM_OWNERSHIP)) {
+        state.selectedOwnership = params.get(PARAM_OWNERSHIP) || 'all';
+    }
+    if (params.has(PARAM_PROPERTY_TYPES)) {
+        state.selectedPropertyTypes = parseList(params.get(PARAM_PROPERTY_TYPES));
+    }
+    if (params.has(PARAM_SERVICE_AREAS)) {
+        state.selectedServiceAreas = parseList(params.get(PARAM_SERVICE_AREAS));
+    }
+    if (params.get(PARAM_SERVICE_AREA_SOURCE)) {
+        state.serviceAreaSource = params.get(PARAM_SERVICE_AREA_SOURCE);
+    }
+    if (params.has(PARAM_LONGSTREET)) {
+        state.showLongstreet = parseFlag(params.get(PARAM_LONGSTREET));
+    }
+    if (params.has(PARAM_FOR_SALE)) {
+        state.selectedForSale = params.get(PARAM_FOR_SALE) || 'all';
+    }
+    if (params.has(PARAM_SQUARE_FOOTAGE)) {
+        state.squareFootageRange = parseRange(params.get(PARAM_SQUARE_FOOTAGE));
+    }
+    if (params.has(PARAM_LAND_SIZE)) {
+        state.landSizeRange = parseRange(params.get(PARAM_LAND_SIZE));
+    }
+    if (params.has(PARAM_SHAPES)) {
+        state.drawnShapes = parseShapes(params.get(PARAM_SHAPES));
+    }
+    if (params.has(PARAM_FILL)) {
+        state.showServiceAreaFill = parseFlag(params.get(PARAM_FILL));
+    }
+    if (params.get(PARAM_SYMBOLOGY)) {
+        state.symbologyMode = params.get(PARAM_SYMBOLOGY);
+    }
+    if (params.get(PARAM_MAP_MODE)) {
+        state.mapMode = params.get(PARAM_MAP_MODE);
+    }
+    if (params.has(PARAM_HEATMAP)) {
+        state.heatmapSettings = parseHeatmapSettings(params.get(PARAM_HEATMAP));
+    }
+    if (params.get(PARAM_BASEMAP)) {
+        state.basemap = params.get(PARAM_BASEMAP);
+    }
+
+    // Camera: both center and zoom must be valid to be used
+    const center = parseList(params.get(PARAM_CENTER)).map(Number);
+    const zoom = Number(params.get(PARAM_ZOOM));
+    if (center.length === 2 && center.every(Number.isFinite) && params.has(PARAM_ZOOM) && Number.isFinite(zoom)) {
+        state.center = center;
+        state.zoom = zoom;
+    }
+
+    if (params.get(PARAM_PROPERTY)) {
+        state.property = params.get(PARAM_PROPERTY);
+    }
+
+    return state;
+}
+
+/**
+ * Writes a view state into the page URL without adding a history entry.
+ * Values equal to the defaults are omitted so links stay short.
+ * @param {Object} state - { selectedOwnership, selectedPropertyTypes, selectedServiceAreas, serviceAreaSource, showLongstreet, selectedForSale, squareFootageRange, landSizeRange, drawnShapes, showServiceAreaFill, symbologyMode, mapMode, heatmapSettings, basemap, center, zoom, property }
+ * @param {Object} defaults - { propertyTypes, serviceAreas } full option lists used to detect "all selected",
+ *   plus { heatmapSettings, basemap } whose default values are left out of the link
+ */
+export function writeViewStateToUrl(state, defaults = {}) {
+    if (!state) return;
+    const params = new URLSearchParams(window.location.search);
+    // Start clean so stale keys from a previous state never linger
+    ALL_PARAMS.forEach(name => params.delete(name));
+
+    if (state.selectedOwnership && state.selectedOwnership !== 'all') {
+        params.set(PARAM_OWNERSHIP, state.selectedOwnership);
+    }
+    if (Array.isArray(state.selectedPropertyTypes) && !isFullSelection(state.selectedPropertyTypes, defaults.propertyTypes)) {
+        params.set(PARAM_PROPERTY_TYPES, state.selectedPropertyTypes.join(','));
+    }
+    if (Array.isArray(state.selectedServiceAreas) && !isFullSelection(state.selectedServiceAreas, defaults.serviceAreas)) {
+        params.set(PARAM_SERVICE_AREAS, state.selectedServiceAreas.join(','));
+    }
+    if (state.serviceAreaSource && state.serviceAreaSource !== 'attribute') {
+        params.set(PARAM_SERVICE_AREA_SOURCE, state.serviceAreaSource);
+    }
+    if (state.showLongstreet === false) {
+        params.set(PARAM_LONGSTREET, '0');
+    }
+    if (state.selectedForSale && state.selectedForSale !== 'all') {
+        params.set(PARAM_FOR_SALE, state.selectedForSale);
+    }
+    if (state.squareFootageRange) {
+        const value = formatRange(state.squareFootageRange);
+        if (value) params.set(PARAM_SQUARE_FOOTAGE, value);
+    }
+    if (state.landSizeRange) {
+        const value = formatRange(state.landSizeRange);
+        if (value) params.set(PARAM_LAND_SIZE, value);
+    }
+    if (Array.isArray(state.drawnShapes) && state.drawnShapes.length > 0) {
+        const value = formatShapes(state.drawnShapes);
+        if (value) params.set(PARAM_SHAPES, value);
+    }
+    if (state.showServiceAreaFill === false) {
+        params.set(PARAM_FILL, '0');
+    }
+    if (state.symbologyMode && state.symbologyMode !== 'logo') {
+        params.set(PARAM_SYMBOLOGY, state.symbologyMode);
+    }
+    if (state.mapMode && state.mapMode !== 'clusters') {
+        params.set(PARAM_MAP_MODE, state.mapMode);
+    }
+    if (state.heatmapSettings) {
+        const value = formatHeatmapSettings(state.heatmapSettings, defaults.heatmapSettings || {});
+        if (value) params.set(PARAM_HEATMAP, value);
+    }
+    if (state.basemap && state.basemap !== defaults.basemap) {
+        params.set(PARAM_BASEMAP, state.basemap);
+    }
+    if (Array.isArray(state.center) && state.center.length === 2 && Number.isFinite(state.zoom)) {
+        params.set(PARAM_CENTER, state.center.map(v => Number(v).toFixed(5)).join(','));
+        params.set(PARAM_ZOOM, Number(state.zoom).toFixed(2));
+    }
+    if (state.property) {
+        params.set(PARAM_PROPERTY, state.property);
+    }
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    try {
+        window.history.replaceState(window.history.state, '', url);
+    } catch (e) {
+        console.warn('Could not update URL with view state:', e);
+    }
+}
+
+/**
+ * Checks a view state that did not come through the URL parser (e.g. a saved
+ * view imported from a JSON file) with the same rules: range bounds become
+ * finite numbers or open, and the camera is dropped unless center is two
+ * finite numbers and zoom is finite.
+ * @param {Object} state - partial view state
+ * @returns {Object} sanitized copy
+ */
+export function sanitizeViewState(state) {
+    const clean = { ...state };
+    ['squareFootageRange', 'landSizeRange'].forEach(key => {
+        if (clean[key] === undefined) return;
+        const range = clean[key];
+        clean[key] = range && typeof range === 'object'
+            ? { min: parseBound(range.min), max: parseBound(range.max), includeNull: range.includeNull !== false }
+            : null;
+    });
+    const center = Array.isArray(clean.center) ? clean.center.map(v => (typeof v === 'number' ? v : NaN)) : [];
+    if (center.length === 2 && center.every(Number.isFinite) && Math.abs(center[1]) <= 90 && Number.isFinite(clean.zoom)) {
+        clean.center = center;
+    } else {
+        delete clean.center;
+        delete clean.zoom;
+    }
+    if (clean.heatmapSettings !== undefined && !(clean.heatmapSettings && typeof clean.heatmapSettings === 'object')) {
+        delete clean.heatmapSettings;
+    }
+    if (clean.property !== undefined && typeof clean.property !== 'string') {
+        delete clean.property;
+    }
+    if (Array.isArray(clean.drawnShapes)) {
+        clean.drawnShapes = clean.drawnShapes.filter(shape => shape && typeof shape === 'object');
+    }
+    return clean;
+}
+
+function parseList(value) {
+    if (value == null || value === '') return [];
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Ranges are encoded as "min,max,includeNull" with empty bounds left open, e.g. "5000,,0"
+function parseRange(value) {
+    const [minRaw = '', maxRaw = '', nullRaw = '1'] = String(value || '').split(',');
+    return { min: parseBound(minRaw), max: parseBound(maxRaw), includeNull: parseFlag(nullRaw) };
+}
+
+// A finite number, or null for an open (blank or unreadable) bound
+function parseBound(raw) {
+    if (raw == null || typeof raw === 'object' || String(raw).trim() === '') return null;
+    const num = Number(raw);
+    return Number.isFinite(num) ? num : null;
+}
+
+function formatRange(range) {
+    const hasBound = range.min != null || range.max != null;
+    if (!hasBound && range.includeNull !== false) return '';
+    return [
+        range.min != null ? range.min : '',
+        range.max != null ? range.max : '',
+        range.includeNull === false ? '0' : '1'
+    ].join(',');
+}
+
+// Heatmap settings are encoded as "weightField,radius,intensity,switchZoom"; values
+// equal to the defaults are left blank and trailing blanks dropped, e.g. "land_size,,,13"
+const HEATMAP_SETTING_KEYS = ['weightField', 'radius', 'intensity', 'switchZoom'];
+
+function parseHeatmapSettings(value) {
+    const settings = {};
+    String(value || '').split(',').forEach((raw, index) => {
+        const key = HEATMAP_SETTING_KEYS[index];
+        if (!key || raw.trim() === '') return;
+        if (key === 'weightField') {
+            settings[key] = raw.trim();
+        } else {
+            const num = parseBound(raw);
+            if (num !== null) settings[key] = num;
+        }
+    });
+    return settings;
+}
+
+function formatHeatmapSettings(settings, defaults) {
+    const values = HEATMAP_SETTING_KEYS.map(key => (
+        settings[key] == null || settings[key] === defaults[key] ? '' : String(settings[key])
+    ));
+    while (values.length && values[values.length - 1] === '') values.pop();
+    return values.join(',');
+}
+
+// Shapes are ';'-separated, each "<kind>:<numbers>":
+//   c:lng,lat,radiusKm   r:/p: lng,lat,lng,lat,... (rectangle/polygon outer ring, not closed)
+const SHAPE_CODES = { c: 'circle', r: 'rectangle', p: 'polygon' };
+
+function parseShapes(value) {
+    return String(value || '').split(';').map(part => {
+        const [code, payload = ''] = part.split(':');
+        const type = SHAPE_CODES[code];
+        const nums = parseList(payload).map(Number);
+        if (!type || !nums.length || !nums.every(Number.isFinite)) return null;
+        if (type === 'circle') {
+            return nums.length === 3 && nums[2] > 0 ? { type, center: [nums[0], nums[1]], radiusKm: nums[2] } : null;
+        }
+        if (nums.length < 6 || nums.length % 2 !== 0) return null;
+        const coordinates = [];
+        for (let i = 0; i < nums.length; i += 2) coordinates.push([nums[i], nums[i + 1]]);
+        coordinates.push(coordinates[0].slice());
+        return { type, coordinates };
+    }).filter(Boolean);
+}
+
+function formatShapes(shapes) {
+    const round = (v, digits) => Number(Number(v).toFixed(digits));
+    return shapes.map(shape => {
+        const code = Object.keys(SHAPE_CODES).find(key => SHAPE_CODES[key] === shape.type);
+        if (!code) return null;
+        if (shape.type === 'circle') {
+            return `${code}:${[round(shape.center[0], 5), round(shape.center[1], 5), round(shape.radiusKm, 3)].join(',')}`;
+        }
+        const ring = shape.coordinates.slice(0, -1);
+        return `${code}:${ring.map(pt => `${round(pt[0], 5)},${round(pt[1], 5)}`).join(',')}`;
+    }).filter(Boolean).join(';');
+}
+
+function parseFlag(value) {
+    return !(value === '0' || value === 'false' || value === 'no');
+}
+
+function isFullSelection(selected, all) {
+    if (!Array.isArray(all)) return false;
+    return all.length === selected.length && all.every(v => selected.includes(v));
+}
@@ -0,0 +1,198 @@
+/**
+ * Filter engine agreement tests
+ * Every filter combination must select the same features whether it runs as
+ * the JS predicate (clustered source data, stats, search) or as the Mapbox GL
+ * expression (evaluated here with the style spec's featureFilter; `within`
+ * is evaluated against a canonical tile with the points in tile coordinates).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { featureFilter } from '@mapbox/mapbox-gl-style-spec';
+
+import {
+    ALL_PROPERTY_TYPES,
+    ALL_SERVICE_AREAS,
+    OWNERSHIP_OPTIONS,
+    FOR_SALE_OPTIONS,
+    SERVICE_AREA_SOURCES,
+    createDefaultFilterSpec,
+    compileFilterPredicate,
+    compileFilterExpression
+} from '../js/filters.js';
+import { asPointsFromLonLat, assignDerivedServiceAreas } from '../js/dataLoader.js';
+import { shapesToGeometry } from '../js/drawTool.js';
+
+const readJson = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+
+// Portfolio points with derived_service_area, as initApp prepares them
+const portfolio = asPointsFromLonLat(readJson('../data/nghs_portfolio.geojson'));
+assignDerivedServiceAreas(portfolio, readJson('../data/service-areas.geojson'));
+
+// Rows the real data may not contain: blanks, missing fields, odd types
+const EDGE_ROWS = [
+    {},
+    { building_type: null, service_area: null, derived_service_area: null },
+    { building_type: '', ownership_type: 'Owned', service_area: 'Gainesville' },
+    { building_type: 'Medical Office', ownership_type: 'Leased', service_area: 'Barrow', derived_service_area: 'Braselton' },
+    { building_type: 'Medical Office Building', listed_for_sale: 'Yes', square_footage: null, land_size: null },
+    { building_type: 'Medical', service_area: 'Lumpkin', listed_for_sale: 'No', longstreet: 'Yes' },
+    { building_type: 'Warehouse', ownership_type: 'Owned', service_area: 'Habersham', square_footage: 0, land_size: 0 },
+    { building_type: 'Hospital', ownership_type: 'Owned', service_area: 'Unknown', longstreet: 'No', square_footage: 500000, land_size: 120 },
+    { building_type: 'Land', ownership_type: 'Leased', derived_service_area: 'Gainesville', square_footage: '1200', land_size: '3' },
+    { building_type: 'Multi-Family', listed_for_sale: '', longstreet: null, square_footage: 25000 },
+    { building_type: 42, service_area: 'Braselton', land_size: 2.5 }
+].map(properties => ({ type: 'Feature', properties, geometry: { type: 'Point', coordinates: [-83.8, 34.3] } }));
+
+const FEATURES = [...portfolio.features, ...EDGE_ROWS];
+
+// `within` needs the tile a feature was read from; one zoom 14 tile near the
+// portfolio serves as the origin and every point is placed relative to it
+const TILE_EXTENT = 8192;
+const TILE_ZOOM = 14;
+const tileX = (lng) => (lng + 180) / 360 * 2 ** TILE_ZOOM;
+const tileY = (lat) => (1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * 2 ** TILE_ZOOM;
+const CANONICAL = { z: TILE_ZOOM, x: Math.floor(tileX(-83.82)), y: Math.floor(tileY(34.3)) };
+const TILE_FEATURES = FEATURES.map(feature => {
+    const [lng, lat] = feature.geometry.coordinates;
+    const point = { x: (tileX(lng) - CANONICAL.x) * TILE_EXTENT, y: (tileY(lat) - CANONICAL.y) * TILE_EXTENT };
+    return { type: 1, properties: feature.properties, geometry: [[point]] };
+});
+
+// Drawn areas as the draw tool hands them to the engine, plus a Polygon with a hole
+const SPATIAL_CASES = [
+    shapesToGeometry([{ type: 'circle', center: [-83.82, 34.3], radiusKm: 6 }]),
+    shapesToGeometry([{ type: 'rectangle', coordinates: [[-84.0, 34.2], [-83.7, 34.2], [-83.7, 34.45], [-84.0, 34.45], [-84.0, 34.2]] }]),
+    shapesToGeometry([
+        { type: 'polygon', coordinates: [[-84.2, 33.9], [-83.6, 34.0], [-83.9, 34.35]] },
+        { type: 'circle', center: [-83.5, 34.6], radiusKm: 25 }
+    ]),
+    {
+        type: 'Polygon',
+        coordinates: [
+            [[-84.2, 33.9], [-83.0, 33.9], [-83.0, 34.9], [-84.2, 34.9], [-84.2, 33.9]],
+            [[-83.9, 34.25], [-83.75, 34.25], [-83.75, 34.35], [-83.9, 34.35], [-83.9, 34.25]]
+        ]
+    }
+];
+
+// Bounds chosen around the real values so each side of every comparison is hit
+const RANGE_CASES = [
+    null,
+    { min: null, max: null, includeNull: true },
+    { min: null, max: null, includeNull: false },
+    { min: 10000, max: null, includeNull: true },
+    { min: null, max: 25000, includeNull: false },
+    { min: 0, max: 25000, includeNull: true },
+    { min: 5000, max: 5000, includeNull: false }
+];
+const LAND_RANGE_CASES = [
+    null,
+    { min: 1, max: null, includeNull: false },
+    { min: null, max: 3, includeNull: true },
+    { min: 0, max: 120, includeNull: false }
+];
+
+function subsets(values) {
+    const result = [];
+    for (let mask = 0; mask < (1 << values.length); mask++) {
+        result.push(values.filter((_, i) => mask & (1 << i)));
+    }
+    return result;
+}
+
+function assertAgreement(spec) {
+    const predicate = compileFilterPredicate(spec);
+    const expression = featureFilter(compileFilterExpression(spec));
+    FEATURES.forEach((feature, index) => {
+        const expected = predicate(feature);
+        const actual = expression.filter({ zoom: TILE_ZOOM }, TILE_FEATURES[index], CANONICAL);
+        if (expected !== actual) {
+            assert.fail(`Predicate (${expected}) and expression (${actual}) disagree on feature ${index} ` +
+                `${JSON.stringify(feature.properties)} for spec ${JSON.stringify(spec)}`);
+        }
+    });
+}
+
+test('the default spec compiles to no expression and keeps every row', () => {
+    const spec = createDefaultFilterSpec();
+    assert.equal(compileFilterExpression(spec), null);
+    assert.ok(FEATURES.every(compileFilterPredicate(spec)));
+});
+
+test('predicate and expression agree for every categorical filter combination', () => {
+    // ownership x type subsets x area subsets x area source x Longstreet x for sale;
+    // the size ranges rotate through their cases so each one meets many combinations
+    let count = 0;
+    const typeSubsets = subsets(ALL_PROPERTY_TYPES);
+    const areaSubsets = subsets(ALL_SERVICE_AREAS);
+    for (const selectedOwnership of OWNERSHIP_OPTIONS) {
+        for (const selectedPropertyTypes of typeSubsets) {
+            for (const selectedServiceAreas of areaSubsets) {
+                for (const serviceAreaSource of SERVICE_AREA_SOURCES) {
+                    for (const showLongstreet of [true, false]) {
+                        for (const selectedForSale of FOR_SALE_OPTIONS) {
+                            assertAgreement({
+                                ...createDefaultFilterSpec(),
+                                selectedOwnership,
+                                selectedPropertyTypes,
+                                selectedServiceAreas,
+                                serviceAreaSource,
+                                showLongstreet,
+                                selectedForSale,
+                                squareFootageRange: RANGE_CASES[count % RANGE_CASES.length],
+                                landSizeRange: LAND_RANGE_CASES[count % LAND_RANGE_CASES.length]
+                            });
+                            count++;
+                        }
+                    }
+                }
+            }
+        }
+    }
+    assert.equal(count, OWNERSHIP_OPTIONS.length * typeSubsets.length * areaSubsets.length *
+        SERVICE_AREA_SOURCES.length * 2 * FOR_SALE_OPTIONS.length);
+});
+
+test('predicate and expression agree for every size range combination', () => {
+    for (const squareFootageRange of RANGE_CASES) {
+        for (const landSizeRange of LAND_RANGE_CASES) {
+            for (const selectedOwnership of OWNERSHIP_OPTIONS) {
+                for (const selectedForSale of FOR_SALE_OPTIONS) {
+                    for (const showLongstreet of [true, false]) {
+                        assertAgreement({
+                            ...createDefaultFilterSpec(),
+                            selectedOwnership,
+                            selectedForSale,
+                            showLongstreet,
+                            squareFootageRange,
+                            landSizeRange
+                        });
+                    }
+                }
+            }
+        }
+    }
+});
+
+test('predicate and expression agree for drawn area filters', () => {
+    SPATIAL_CASES.forEach(spatialFilter => {
+        const inside = FEATURES.filter(compileFilterPredicate({ ...createDefaultFilterSpec(), spatialFilter }));
+        assert.ok(inside.length > 0 && inside.length < FEATURES.length, 'each area keeps some points and drops others');
+        for (const selectedOwnership of OWNERSHIP_OPTIONS) {
+            for (const selectedForSale of FOR_SALE_OPTIONS) {
+                for (const selectedPropertyTypes of [ALL_PROPERTY_TYPES, ['Medical Office', 'Other']]) {
+                    assertAgreement({
+                        ...createDefaultFilterSpec(),
+                        selectedOwnership,
+                        selectedForSale,
+                        selectedPropertyTypes,
+                        squareFootageRange: RANGE_CASES[3],
+                        spatialFilter
+                    });
+                }
+            }
+        }
+    });
+});